@@ -1,7 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const axios = require('axios');
+const HttpClient = require('./http-client');
 
 /**
  * Agent Manager - Multi-Agent WordPress Registration System
@@ -114,9 +114,7 @@ class AgentManager {
 
       try {
         // Try direct registration (if enabled on WordPress)
-        const response = await axios.post(registrationEndpoint, registrationData, {
-          headers: { 'Content-Type': 'application/json' }
-        });
+        const response = await new HttpClient().post(registrationEndpoint, registrationData);
 
         console.log('WordPress registration response:', response.data);
         
@@ -259,6 +257,9 @@ class AgentManager {
 // CLI Interface
 if (require.main === module) {
   const args = process.argv.slice(2);
+  // CA bundles, pins, insecure_tls and proxies for the sites in config.yaml
+  const ConfigManager = require('./config-manager');
+  new ConfigManager().loadNetworkSettings();
   const manager = new AgentManager();
 
   if (args.length === 0) {
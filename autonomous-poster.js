@@ -3,6 +3,14 @@ const path = require('path');
 const axios = require('axios');
 const FormData = require('form-data');
 const ConfigManager = require('./config-manager');
+const MarkdownConverter = require('./markdown-converter');
+const BuddyClawError = require('./buddyclaw-error');
+
+// Standard post fields forwarded from options to the poster (validated there)
+const POST_FIELDS = ['slug', 'author', 'sticky', 'format', 'comment_status', 'ping_status', 'password', 'template', 'parent', 'menu_order'];
+
+// Targets posted as written: no generated title or tags, and no draft default
+const CONVERSATION_TARGETS = ['forum_reply', 'comment', 'message'];
 
 /**
  * BuddyClaw Autonomous Content Generator and Poster
@@ -15,6 +23,7 @@ class AutonomousBuddyClaw {
     this.configManager = new ConfigManager();
     this.contentCache = new Map();
     this.imageCache = new Map();
+    this.markdownConverter = new MarkdownConverter();
   }
 
   /**
@@ -32,7 +41,7 @@ class AutonomousBuddyClaw {
       // Validate configuration
       const validation = this.configManager.validateConfig();
       if (!validation.valid) {
-        throw new Error(`Configuration invalid: ${validation.errors.join(', ')}`);
+        throw new BuddyClawError(`Configuration invalid: ${validation.errors.join(', ')}`, { code: 'VALIDATION_FAILED' });
       }
 
       // Generate content using AI model
@@ -54,20 +63,21 @@ class AutonomousBuddyClaw {
       console.log('✅ Autonomous posting completed!');
       return {
         success: true,
-        post_id: result.id,
-        post_url: result.link,
+        post_id: result.data?.id,
+        post_url: result.data?.link,
+        duplicate: !!result.duplicate,
+        scheduled: !!result.scheduled,
+        schedule_id: result.data?.schedule_id,
+        publish_at: result.data?.publish_at || result.data?.date_gmt,
         title: generatedContent.title,
+        ...(result.sites ? { sites: result.sites, partial: result.partial } : {}),
         content_summary: generatedContent.content.substring(0, 200) + '...',
         featured_image: featuredImage.url || 'None'
       };
 
     } catch (error) {
       console.error('❌ Autonomous posting failed:', error.message);
-      return {
-        success: false,
-        error: error.message,
-        details: error.response?.data || null
-      };
+      return BuddyClawError.from(error).toResult();
     }
   }
 
@@ -82,13 +92,18 @@ class AutonomousBuddyClaw {
       const contentType = options.content_type || 'post';
       const tone = options.tone || 'informative';
       const length = options.length || 'medium';
+
+      // Authored content (e.g. a Markdown file) is published as written
+      if (options.content) {
+        return this.useAuthoredContent(userInput, options);
+      }
       
       // Simulate AI-generated content
       const title = this.generateTitle(userInput, tone);
       const content = this.generateArticleContent(userInput, tone, length);
       const excerpt = this.generateExcerpt(content);
       const tags = this.generateTags(userInput, content);
-      const meta = this.generateMeta(title, content);
+      const meta = this.generateMeta(title, content, userInput);
       
       return {
         title,
@@ -104,6 +119,35 @@ class AutonomousBuddyClaw {
     }
   }
 
+  /**
+   * Build the content object from supplied content instead of generating it
+   * Markdown is converted by the poster; HTML is only needed here for the excerpt and tags
+   */
+  useAuthoredContent(userInput, options) {
+    const html = options.content_format === 'markdown'
+      ? this.markdownConverter.toHtml(options.content)
+      : options.content;
+    if (CONVERSATION_TARGETS.includes(options.content_target)) {
+      return {
+        title: options.title || null,
+        content: options.content,
+        tags: options.tags,
+        meta: null,
+        generated_at: new Date().toISOString()
+      };
+    }
+    const title = options.title || this.generateTitle(userInput, options.tone || 'informative');
+
+    return {
+      title,
+      content: options.content,
+      excerpt: options.excerpt || this.generateExcerpt(html),
+      tags: options.tags || this.generateTags(userInput, html),
+      meta: this.generateMeta(title, html, userInput),
+      generated_at: new Date().toISOString()
+    };
+  }
+
   /**
    * Generate title based on user input
    */
@@ -205,11 +249,12 @@ class AutonomousBuddyClaw {
     return [...commonTags.slice(0, 2), ...specificTags.slice(0, 3)];
   }
 
-  generateMeta(title, content) {
+  generateMeta(title, content, focusKeyword = null) {
     return {
       title: title,
-      description: this.generateExcerpt(content),
+      description: this.generateExcerpt(content).replace(/<[^>]+>/g, ''),
       keywords: this.generateTags(title, content).join(', '),
+      focus_keyword: focusKeyword || title,
       author: 'BuddyClaw AI',
       published_date: new Date().toISOString()
     };
@@ -272,17 +317,27 @@ class AutonomousBuddyClaw {
    */
   preparePostData(content, featuredImage, options = {}) {
     const credentials = this.configManager.getWordPressCredentials();
+    const contentTarget = options.content_target || credentials.content_target || 'post';
+    // Replies, comments and messages leave the status to the site; fan-out leaves it to each profile
+    const defaultStatus = options.sites?.length || CONVERSATION_TARGETS.includes(contentTarget)
+      ? undefined
+      : credentials.status || 'draft';
     
     const postData = {
       site_base_url: credentials.url,
-      content_target: options.content_target || credentials.content_target || 'post',
+      content_target: contentTarget,
       title: content.title,
       content: content.content,
-      excerpt: content.excerpt,
-      status: options.status || credentials.status || 'draft',
+      status: options.status || defaultStatus,
       tags: content.tags,
-      meta: content.meta
+      // content.meta is generated SEO data, not registered post meta
+      meta: options.meta
     };
+    // Excerpts and featured images only exist on posts, pages and custom post types
+    const isPostLike = ['post', 'page', 'custom_post_type'].includes(postData.content_target);
+    if (isPostLike) {
+      postData.excerpt = content.excerpt;
+    }
 
     // Allow comment target to carry post_id
     if (options.content_target === 'comment' && options.post_id) {
@@ -298,26 +353,26 @@ class AutonomousBuddyClaw {
       if (options.group_id) postData.group_id = options.group_id;
     }
 
-    // Add authentication based on configured method
-    switch (credentials.auth_method) {
-      case 'api_token':
-        postData.wp_api_token = credentials.api_token;
-        break;
-      case 'app_password':
-        postData.wp_username = credentials.username;
-        postData.wp_app_password = credentials.app_password;
-        break;
-      case 'basic_auth':
-        postData.wp_username = credentials.username;
-        postData.wp_password = credentials.password;
-        break;
-      case 'multi_agent':
-        postData.agent_email = credentials.multi_agent.email;
-        break;
+    if (options.content_target === 'forum_reply') {
+      for (const field of ['topic_id', 'reply_to', 'forum_id']) {
+        if (options[field]) postData[field] = options[field];
+      }
+    }
+
+    // Activity can go to a group's stream, with BuddyBoss privacy and an optional title
+    if (options.content_target === 'activity') {
+      for (const field of ['group_id', 'privacy', 'include_title', 'activity_api_provider', 'activity_context']) {
+        if (options[field] !== undefined && options[field] !== null) {
+          postData[field] = options[field];
+        }
+      }
     }
 
-    // Add featured image if available
-    if (featuredImage.url) {
+    // Add authentication based on configured method
+    Object.assign(postData, this.configManager.getPosterAuth(credentials));
+
+    // Add featured image if available (stock placeholders aren't worth uploading)
+    if (isPostLike && featuredImage.url && featuredImage.source !== 'default' && featuredImage.source !== 'fallback') {
       postData.featured_image_url = featuredImage.url;
       postData.featured_image_alt = featuredImage.alt;
     }
@@ -327,10 +382,56 @@ class AutonomousBuddyClaw {
       postData.categories = options.categories;
     }
 
+    for (const field of POST_FIELDS) {
+      if (options[field] !== undefined) {
+        postData[field] = options[field];
+      }
+    }
+
+    // SEO title/description/focus keyword for Yoast or Rank Math
+    if (options.seo) {
+      postData.seo = options.seo;
+    } else if (content.meta && options.generate_meta !== false && isPostLike) {
+      postData.seo = {
+        title: content.meta.title,
+        description: content.meta.description,
+        focus_keyword: content.meta.focus_keyword
+      };
+    }
+
     if (options.dry_run) {
       postData.dry_run = true;
     }
 
+    // Idempotency: stable key from the content source, and an explicit re-post override
+    if (options.idempotency_key) {
+      postData.idempotency_key = options.idempotency_key;
+    }
+
+    if (options.force) {
+      postData.force = true;
+    }
+
+    // Future dates are scheduled by WordPress or the local queue, depending on the target
+    if (options.date) {
+      postData.date = options.date;
+    }
+
+    if (options.content_format) {
+      postData.content_format = options.content_format;
+    }
+
+    // Fan out to named site profiles, each publishing with its own credentials
+    if (options.sites && options.sites.length > 0) {
+      postData.sites = options.sites;
+    }
+
+    // Generated and imported HTML becomes Gutenberg blocks when the site is configured for them
+    const outputFormat = options.output_format || (options.sites?.length ? null : credentials.output_format);
+    if (outputFormat) {
+      postData.output_format = outputFormat;
+    }
+
     return postData;
   }
 
@@ -346,13 +447,14 @@ class AutonomousBuddyClaw {
       // Process the post data
       const result = await poster.processInput(postData);
       
-      if (!result.success) {
-        throw new Error(`WordPress posting failed: ${result.error}`);
+      // A multi-site publish that worked somewhere still reports every site
+      if (!result.success && !result.partial) {
+        throw BuddyClawError.fromResult(result, 'WordPress posting failed');
       }
       
       return result;
     } catch (error) {
-      throw new Error(`Failed to post to WordPress: ${error.message}`);
+      throw BuddyClawError.from(error, 'Failed to post to WordPress');
     }
   }
 
@@ -402,6 +504,7 @@ if (require.main === module) {
     console.log('  --generate-image                                   Generate featured image');
     console.log('  --content-type [post|page]                         Content type');
     console.log('  --dry-run                                          Test without posting');
+    console.log('  --force                                            Post even if already published');
     console.log('');
     console.log('Examples:');
     console.log('  node autonomous-poster.js "artificial intelligence" --tone professional --status publish');
@@ -434,7 +537,8 @@ if (require.main === module) {
     status: args.find(arg => arg.startsWith('--status='))?.split('=')[1] || 'draft',
     content_target: args.find(arg => arg.startsWith('--content-type='))?.split('=')[1] || 'post',
     generate_image: args.includes('--generate-image'),
-    dry_run: args.includes('--dry-run')
+    dry_run: args.includes('--dry-run'),
+    force: args.includes('--force')
   };
 
   // Run autonomous posting
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const CaptchaSolver = require('./captcha-solver');
+const BuddyClawError = require('./buddyclaw-error');
 
 /**
  * BuddyClaw Autonomous Error Recovery System
@@ -7,6 +8,22 @@ const CaptchaSolver = require('./captcha-solver');
  * Spun Web Technology - Version 0.0.4
  */
 
+// Recovery strategy for each error code; missing endpoints and items have none, retrying won't create them
+const RECOVERY_TYPES = {
+  AUTH_INVALID: 'authentication_error',
+  FORBIDDEN_CAPABILITY: 'authorization_error',
+  MEMBERSHIP_REQUIRED: 'membership_error',
+  CAPTCHA_REQUIRED: 'captcha_error',
+  ENDPOINT_MISSING: 'endpoint_missing',
+  NOT_FOUND: 'not_found',
+  RATE_LIMITED: 'rate_limit_error',
+  VALIDATION_FAILED: 'content_error',
+  NETWORK_TIMEOUT: 'network_error',
+  NETWORK_ERROR: 'network_error',
+  TLS_UNTRUSTED: 'tls_error',
+  SERVER_ERROR: 'server_error'
+};
+
 class AutonomousRecovery {
   constructor(options = {}) {
     this.captchaSolver = new CaptchaSolver(options.captcha);
@@ -41,6 +58,7 @@ class AutonomousRecovery {
         return {
           success: false,
           error: error.message,
+          code: BuddyClawError.classify(error),
           recoveryAttempted: false,
           message: 'No recovery strategy available for this error type'
         };
@@ -81,8 +99,14 @@ class AutonomousRecovery {
 
   /**
    * Classify error type for appropriate recovery strategy
+   * Coded errors map directly; only errors without a code fall back to their wording
    */
   classifyError(error, context) {
+    const code = BuddyClawError.classify(error);
+    if (RECOVERY_TYPES[code]) {
+      return RECOVERY_TYPES[code];
+    }
+
     const errorMessage = error.message.toLowerCase();
     const errorCode = error.code || error.status || '';
 
@@ -500,7 +524,7 @@ class AutonomousRecovery {
       // Calculate appropriate delay based on error message
       let delay = 60000; // Default 1 minute
       
-      const retryAfter = this.extractRetryAfter(error.message);
+      const retryAfter = error.retryAfter || this.extractRetryAfter(error.message);
       if (retryAfter) {
         delay = retryAfter * 1000; // Convert seconds to milliseconds
       }
@@ -617,6 +641,7 @@ class AutonomousRecovery {
       timestamp: new Date().toISOString(),
       message: error.message,
       type: errorType,
+      code: BuddyClawError.classify(error),
       context: context,
       stack: error.stack
     };
@@ -0,0 +1,459 @@
+/**
+ * BuddyClaw Block Serializer
+ * Turns HTML (or parsed Markdown) into Gutenberg block markup, or renders tokens as clean HTML
+ * Spun Web Technology - Version 0.0.7
+ *
+ * Token types: paragraph, heading, list, quote, code, image, table, separator, html
+ */
+
+// Elements that end a run of inline text; anything else at the top level stays inside a paragraph
+const BLOCK_TAGS = [
+  'address', 'article', 'aside', 'audio', 'blockquote', 'details', 'div', 'dl', 'figure', 'footer',
+  'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'iframe', 'nav', 'ol', 'p', 'pre',
+  'script', 'section', 'style', 'table', 'ul', 'video'
+];
+
+const VOID_TAGS = ['br', 'hr', 'img', 'input', 'source', 'embed', 'wbr'];
+
+// Placeholders filled in after upload (see EnhancedBuddyClaw.insertMediaIntoContent)
+const MEDIA_PLACEHOLDER = /^\{\{media:\d+\}\}$/;
+
+class BlockSerializer {
+  /**
+   * Convert HTML to serialized blocks; content that already has block markup is returned untouched
+   */
+  fromHtml(html) {
+    const source = String(html || '');
+    if (source.includes('<!-- wp:')) {
+      return source;
+    }
+    return this.serialize(this.parseHtml(source));
+  }
+
+  /**
+   * Parse top-level HTML into block tokens
+   */
+  parseHtml(html) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < html.length) {
+      const rest = html.slice(i);
+
+      const whitespace = rest.match(/^\s+/);
+      if (whitespace) {
+        i += whitespace[0].length;
+        continue;
+      }
+
+      if (rest.startsWith('<!--')) {
+        const end = html.indexOf('-->', i);
+        const stop = end === -1 ? html.length : end + 3;
+        tokens.push({ type: 'html', html: html.slice(i, stop) });
+        i = stop;
+        continue;
+      }
+
+      const open = rest.match(/^<([a-zA-Z][\w-]*)\b[^>]*?(\/?)>/);
+      const tag = open ? open[1].toLowerCase() : null;
+
+      if (open && BLOCK_TAGS.includes(tag)) {
+        if (VOID_TAGS.includes(tag) || open[2]) {
+          tokens.push(this.elementToToken(tag, open[0], '', open[0]));
+          i += open[0].length;
+          continue;
+        }
+
+        const close = this.findClosingTag(html, i + open[0].length, tag);
+        if (!close) {
+          // Unbalanced markup is kept as-is rather than guessed at
+          tokens.push({ type: 'html', html: rest.trim() });
+          break;
+        }
+
+        const inner = html.slice(i + open[0].length, close.start);
+        tokens.push(this.elementToToken(tag, open[0], inner, html.slice(i, close.end)));
+        i = close.end;
+        continue;
+      }
+
+      // Inline run: text and inline elements up to the next block element or blank line
+      const next = this.findInlineRunEnd(html, i);
+      const run = html.slice(i, next).trim();
+      if (run) {
+        tokens.push(this.inlineRunToToken(run));
+      }
+      i = next;
+    }
+
+    return tokens;
+  }
+
+  findInlineRunEnd(html, from) {
+    const pattern = new RegExp(`<(?:${BLOCK_TAGS.join('|')})\\b|<!--|\\n\\s*\\n`, 'gi');
+    pattern.lastIndex = from;
+    const match = pattern.exec(html);
+    return match ? (match.index > from ? match.index : from + match[0].length) : html.length;
+  }
+
+  /**
+   * Find the matching close tag, allowing for nested elements of the same name
+   * @returns {object|null} { start, end } of the closing tag
+   */
+  findClosingTag(html, from, tag) {
+    const pattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+    pattern.lastIndex = from;
+    let depth = 1;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+      depth += match[1] ? -1 : 1;
+      if (depth === 0) {
+        return { start: match.index, end: match.index + match[0].length };
+      }
+    }
+    return null;
+  }
+
+  inlineRunToToken(run) {
+    if (MEDIA_PLACEHOLDER.test(run)) {
+      return { type: 'html', html: run, raw: true };
+    }
+    if (/^<img\b[^>]*>$/i.test(run)) {
+      return this.imageToken(run);
+    }
+    // Classic content treats single newlines as line breaks
+    return { type: 'paragraph', html: run.replace(/\s*\n\s*/g, '<br>') };
+  }
+
+  elementToToken(tag, openTag, inner, outer) {
+    const hasAttributes = /^<[\w-]+\s+[^\s>]/.test(openTag);
+
+    switch (tag) {
+      case 'p':
+        if (hasAttributes) break;
+        if (MEDIA_PLACEHOLDER.test(inner.trim())) {
+          return { type: 'html', html: inner.trim(), raw: true };
+        }
+        return { type: 'paragraph', html: inner.trim() };
+
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+        if (hasAttributes) break;
+        return { type: 'heading', level: parseInt(tag[1], 10), html: inner.trim() };
+
+      case 'ul':
+      case 'ol':
+        return this.listToken(tag, openTag, inner) || { type: 'html', html: outer };
+
+      case 'blockquote': {
+        const cite = inner.match(/<cite\b[^>]*>([\s\S]*?)<\/cite>\s*$/i);
+        const body = cite ? inner.slice(0, cite.index) : inner;
+        return { type: 'quote', children: this.parseHtml(body), citation: cite ? cite[1].trim() : null };
+      }
+
+      case 'pre': {
+        const code = inner.replace(/^\s*<code\b[^>]*>/i, '').replace(/<\/code>\s*$/i, '');
+        if (/<[a-zA-Z]/.test(code)) break;
+        return { type: 'code', language: null, code: this.decodeEntities(code) };
+      }
+
+      case 'figure': {
+        const caption = inner.match(/<figcaption\b[^>]*>([\s\S]*?)<\/figcaption>/i);
+        const body = inner.replace(/<figcaption\b[\s\S]*?<\/figcaption>/i, '').trim();
+        if (/^<table\b[\s\S]*<\/table>$/i.test(body)) {
+          return this.tableToken(body) || { type: 'html', html: outer };
+        }
+        const image = body.match(/^(?:<a\b[^>]*>\s*)?(<img\b[^>]*>)(?:\s*<\/a>)?$/i);
+        if (image) {
+          return { ...this.imageToken(image[1]), caption: caption ? caption[1].trim() : null };
+        }
+        break;
+      }
+
+      case 'table':
+        return this.tableToken(outer) || { type: 'html', html: outer };
+
+      case 'hr':
+        return { type: 'separator' };
+
+      default:
+        break;
+    }
+
+    return { type: 'html', html: outer };
+  }
+
+  listToken(tag, openTag, inner) {
+    const items = [];
+    const liPattern = /<li\b[^>]*>/gi;
+    let match;
+
+    while ((match = liPattern.exec(inner)) !== null) {
+      const close = this.findClosingTag(inner, match.index + match[0].length, 'li');
+      const content = inner.slice(match.index + match[0].length, close ? close.start : inner.length);
+      liPattern.lastIndex = close ? close.end : inner.length;
+
+      // Split nested lists out of the item's inline text
+      const children = [];
+      const text = content.replace(/<(ul|ol)\b[^>]*>[\s\S]*$/i, '').trim();
+      if (text) {
+        // List items can't hold paragraphs, so loose items are flattened to line breaks
+        const html = /^<p>[\s\S]*<\/p>$/i.test(text)
+          ? text.replace(/^<p>|<\/p>$/gi, '').replace(/<\/p>\s*<p>/gi, '<br><br>')
+          : text;
+        children.push({ type: 'paragraph', html });
+      }
+      const nested = content.slice(text.length ? content.indexOf(text) + text.length : 0);
+      children.push(...this.parseHtml(nested));
+      items.push(children);
+    }
+
+    if (items.length === 0) {
+      return null;
+    }
+
+    const start = parseInt(this.getAttribute(openTag, 'start'), 10);
+    return {
+      type: 'list',
+      ordered: tag === 'ol',
+      start: tag === 'ol' ? (start || 1) : null,
+      loose: false,
+      items
+    };
+  }
+
+  tableToken(tableHtml) {
+    const rows = [];
+    let head = [];
+    let align = [];
+    const rowPattern = /<tr\b[^>]*>([\s\S]*?)<\/tr>/gi;
+    let row;
+
+    while ((row = rowPattern.exec(tableHtml)) !== null) {
+      const cells = [];
+      const cellAlign = [];
+      const cellPattern = /<(th|td)\b([^>]*)>([\s\S]*?)<\/\1>/gi;
+      let cell;
+      let isHeader = true;
+      while ((cell = cellPattern.exec(row[1])) !== null) {
+        if (cell[1].toLowerCase() !== 'th') isHeader = false;
+        cells.push(cell[3].trim());
+        const alignment = (cell[2].match(/(?:data-align|align)\s*=\s*["']?(left|center|right)/i) ||
+          cell[2].match(/text-align:\s*(left|center|right)/i) || [])[1];
+        cellAlign.push(alignment ? alignment.toLowerCase() : null);
+      }
+
+      if (rows.length === 0 && head.length === 0 && isHeader && cells.length > 0) {
+        head = cells;
+        align = cellAlign;
+      } else {
+        rows.push(cells);
+        if (align.length === 0) align = cellAlign;
+      }
+    }
+
+    if (head.length === 0 && rows.length === 0) {
+      return null;
+    }
+    return { type: 'table', head, align, rows };
+  }
+
+  imageToken(imgTag) {
+    return {
+      type: 'image',
+      src: this.getAttribute(imgTag, 'src') || '',
+      alt: this.getAttribute(imgTag, 'alt') || '',
+      title: this.getAttribute(imgTag, 'title'),
+      caption: null
+    };
+  }
+
+  getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    if (!match) {
+      return null;
+    }
+    return this.decodeEntities(match[1] ?? match[2] ?? match[3]);
+  }
+
+  decodeEntities(text) {
+    return String(text)
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#0?39;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Render tokens as plain HTML (classic editor content)
+   */
+  renderHtml(tokens) {
+    return tokens.map(token => this.renderHtmlToken(token)).filter(Boolean).join('\n\n');
+  }
+
+  renderHtmlToken(token) {
+    switch (token.type) {
+      case 'heading':
+        return `<h${token.level}>${token.html}</h${token.level}>`;
+
+      case 'paragraph':
+        return `<p>${token.html}</p>`;
+
+      case 'list': {
+        const tag = token.ordered ? 'ol' : 'ul';
+        const start = token.ordered && token.start > 1 ? ` start="${token.start}"` : '';
+        const items = token.items
+          .map(children => `<li>${this.renderListItemHtml(children, token.loose)}</li>`)
+          .join('\n');
+        return `<${tag}${start}>\n${items}\n</${tag}>`;
+      }
+
+      case 'quote':
+        return `<blockquote>\n${this.renderHtml(token.children)}${token.citation ? `\n<cite>${token.citation}</cite>` : ''}\n</blockquote>`;
+
+      case 'code': {
+        const language = token.language ? ` class="language-${this.escapeAttr(token.language)}"` : '';
+        return `<pre><code${language}>${this.escapeHtml(token.code)}</code></pre>`;
+      }
+
+      case 'image': {
+        const caption = token.caption ? `<figcaption>${token.caption}</figcaption>` : '';
+        return `<figure>${this.renderImg(token)}${caption}</figure>`;
+      }
+
+      case 'table':
+        return this.renderTable(token);
+
+      case 'separator':
+        return '<hr>';
+
+      case 'html':
+        return token.html;
+
+      default:
+        return '';
+    }
+  }
+
+  renderListItemHtml(children, loose) {
+    if (!loose && children[0]?.type === 'paragraph') {
+      const rest = children.slice(1).map(token => this.renderHtmlToken(token)).join('\n');
+      return rest ? `${children[0].html}\n${rest}` : children[0].html;
+    }
+    return this.renderHtml(children);
+  }
+
+  /**
+   * Render tokens as serialized Gutenberg blocks
+   */
+  serialize(tokens) {
+    return tokens.map(token => this.serializeToken(token)).filter(Boolean).join('\n\n');
+  }
+
+  serializeToken(token) {
+    switch (token.type) {
+      case 'heading':
+        return this.wrap(
+          'heading',
+          token.level === 2 ? null : { level: token.level },
+          `<h${token.level} class="wp-block-heading">${token.html}</h${token.level}>`
+        );
+
+      case 'paragraph':
+        return this.wrap('paragraph', null, `<p>${token.html}</p>`);
+
+      case 'list':
+        return this.serializeList(token);
+
+      case 'quote':
+        return this.wrap(
+          'quote',
+          null,
+          `<blockquote class="wp-block-quote">${this.serialize(token.children)}${token.citation ? `<cite>${token.citation}</cite>` : ''}</blockquote>`
+        );
+
+      case 'code':
+        return this.wrap('code', null, `<pre class="wp-block-code"><code>${this.escapeHtml(token.code)}</code></pre>`);
+
+      case 'image': {
+        const caption = token.caption ? `<figcaption class="wp-element-caption">${token.caption}</figcaption>` : '';
+        return this.wrap('image', null, `<figure class="wp-block-image">${this.renderImg(token, true)}${caption}</figure>`);
+      }
+
+      case 'table':
+        return this.wrap('table', null, this.renderTable(token, ' class="wp-block-table"'));
+
+      case 'separator':
+        return this.wrap('separator', null, '<hr class="wp-block-separator has-alpha-channel-opacity"/>');
+
+      case 'html':
+        // Content that is already block markup (and media placeholders) is left exactly as it was
+        return token.raw || token.html.includes('<!-- wp:') ? token.html : this.wrap('html', null, token.html);
+
+      default:
+        return '';
+    }
+  }
+
+  serializeList(token) {
+    const tag = token.ordered ? 'ol' : 'ul';
+    const attrs = token.ordered ? { ordered: true } : null;
+    let start = '';
+    if (token.ordered && token.start > 1) {
+      attrs.start = token.start;
+      start = ` start="${token.start}"`;
+    }
+
+    const items = token.items.map(children => {
+      // List items hold inline text; nested lists become inner list blocks
+      const text = children
+        .filter(child => child.type !== 'list')
+        .map(child => (child.type === 'paragraph' ? child.html : this.renderHtmlToken(child)))
+        .join('<br><br>');
+      const nested = children
+        .filter(child => child.type === 'list')
+        .map(child => this.serializeList(child))
+        .join('');
+      return this.wrap('list-item', null, `<li>${text}${nested}</li>`);
+    }).join('\n\n');
+
+    return this.wrap('list', attrs, `<${tag}${start} class="wp-block-list">${items}</${tag}>`);
+  }
+
+  wrap(name, attrs, inner) {
+    const json = attrs && Object.keys(attrs).length > 0 ? ` ${JSON.stringify(attrs)}` : '';
+    return `<!-- wp:${name}${json} -->\n${inner}\n<!-- /wp:${name} -->`;
+  }
+
+  renderImg(token, selfClosing = false) {
+    const title = token.title ? ` title="${this.escapeAttr(token.title)}"` : '';
+    return `<img src="${this.escapeAttr(token.src)}" alt="${this.escapeAttr(token.alt || '')}"${title}${selfClosing ? '/' : ''}>`;
+  }
+
+  renderTable(token, figureClass = null) {
+    const cell = (tag, html, index) => {
+      const align = token.align[index];
+      const attrs = align ? ` class="has-text-align-${align}" data-align="${align}"` : '';
+      return `<${tag}${attrs}>${html}</${tag}>`;
+    };
+    const head = token.head.length > 0
+      ? `<thead><tr>${token.head.map((html, i) => cell('th', html, i)).join('')}</tr></thead>`
+      : '';
+    const body = `<tbody>${token.rows.map(row => `<tr>${row.map((html, i) => cell('td', html, i)).join('')}</tr>`).join('')}</tbody>`;
+    const table = `<table>${head}${body}</table>`;
+    return figureClass === null ? table : `<figure${figureClass}>${table}</figure>`;
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  escapeAttr(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = BlockSerializer;
@@ -1,6 +1,8 @@
 const puppeteer = require('puppeteer');
 const EmailVerifier = require('./email-verifier');
 const CaptchaSolver = require('./captcha-solver');
+const BuddyClawError = require('./buddyclaw-error');
+const HttpClient = require('./http-client');
 
 class BrowserAutomation {
   constructor(options = {}) {
@@ -12,11 +14,15 @@ class BrowserAutomation {
     this.postClickDelay = options.postClickDelay || 800;
   }
 
-  async connect() {
+  /**
+   * Connect to the running browser; certificate errors are only ignored for a site with insecure_tls
+   */
+  async connect(siteUrl = '') {
+    const ignoreHTTPSErrors = HttpClient.getTlsSettings(siteUrl)?.insecure === true;
     if (this.cdp_ws) {
-      this.browser = await puppeteer.connect({ browserWSEndpoint: this.cdp_ws, ignoreHTTPSErrors: true });
+      this.browser = await puppeteer.connect({ browserWSEndpoint: this.cdp_ws, ignoreHTTPSErrors });
     } else {
-      this.browser = await puppeteer.connect({ browserURL: this.browserURL, ignoreHTTPSErrors: true });
+      this.browser = await puppeteer.connect({ browserURL: this.browserURL, ignoreHTTPSErrors });
     }
     return this.browser;
   }
@@ -31,14 +37,14 @@ class BrowserAutomation {
 
   async registerUser({ siteUrl, username, email, password }) {
     if (!siteUrl || !username || !email || !password) {
-      return { success: false, error: 'Missing required fields: siteUrl, username, email, password' };
+      return new BuddyClawError('Missing required fields: siteUrl, username, email, password', { code: 'VALIDATION_FAILED' }).toResult();
     }
     let page;
     try {
-      await this.connect();
+      await this.connect(siteUrl);
       const pages = await this.browser.pages();
       page = pages.length ? pages[0] : await this.browser.newPage();
-      await page.setUserAgent('BuddyClaw/0.0.7');
+      await page.setUserAgent(HttpClient.USER_AGENT);
       await page.setViewport({ width: 1280, height: 900 });
 
       // Determine registration URL
@@ -64,7 +70,7 @@ class BrowserAutomation {
 
       const hasForm = await this.ensureRegistrationForm(page);
       if (!hasForm) {
-        return { success: false, error: 'Registration form not found' };
+        return new BuddyClawError('Registration form not found', { code: 'ENDPOINT_MISSING' }).toResult();
       }
 
       // Fill form fields using common selectors
@@ -106,7 +112,7 @@ class BrowserAutomation {
       if (!clicked) {
         const altClicked = await this.clickByButtonText(page, ['register', 'sign up', 'create account', 'submit']);
         if (!altClicked) {
-          return { success: false, error: 'Unable to locate registration submit button' };
+          return new BuddyClawError('Unable to locate registration submit button', { code: 'ENDPOINT_MISSING' }).toResult();
         }
       }
 
@@ -144,7 +150,7 @@ class BrowserAutomation {
         loggedIn
       };
     } catch (error) {
-      return { success: false, error: error.message };
+      return BuddyClawError.from(error).toResult();
     } finally {
       // Do not close the browser; keep the relay-attached tab alive
       await this.disconnect();
@@ -0,0 +1,138 @@
+/**
+ * BuddyClaw Error
+ * Shared error type with stable codes, the HTTP status and the WordPress error code
+ * Spun Web Technology - Version 0.0.7
+ */
+
+// Stable codes; messages may change, these don't
+const CODES = [
+  'AUTH_INVALID',          // 401, bad or missing credentials
+  'FORBIDDEN_CAPABILITY',  // 403, signed in but not allowed
+  'MEMBERSHIP_REQUIRED',   // 403 from a group or forum the account hasn't joined
+  'CAPTCHA_REQUIRED',      // a CAPTCHA blocked the request or couldn't be solved
+  'ENDPOINT_MISSING',      // the site has no REST route for this (plugin missing or disabled)
+  'NOT_FOUND',             // the route exists but the item doesn't
+  'RATE_LIMITED',          // 429 (retry_after has the wait in seconds when the site sent one)
+  'VALIDATION_FAILED',     // the request was rejected before or by the site (400)
+  'NETWORK_TIMEOUT',       // no response in time
+  'NETWORK_ERROR',         // connection refused, reset, DNS failure or the proxy refused
+  'TLS_UNTRUSTED',         // the site's certificate failed validation or pinning
+  'SERVER_ERROR',          // 5xx
+  'UNKNOWN'
+];
+
+const AUTH_WP_CODES = ['rest_not_logged_in', 'incorrect_password', 'invalid_username', 'invalid_email', 'rest_cookie_invalid_nonce'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const TLS_CODES = [
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE', 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY', 'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN', 'CERT_HAS_EXPIRED', 'CERT_NOT_YET_VALID', 'ERR_TLS_CERT_ALTNAME_INVALID',
+  'ERR_TLS_CERT_PIN_MISMATCH'
+];
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'ERR_PROXY_CONNECT'];
+
+class BuddyClawError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} options - { code, status (HTTP), wpCode (WordPress error code), details, retryAfter (seconds) }
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'BuddyClawError';
+    this.code = CODES.includes(options.code) ? options.code : 'UNKNOWN';
+    this.status = options.status || null;
+    this.wpCode = options.wpCode || null;
+    this.details = options.details || null;
+    this.retryAfter = options.retryAfter || null;
+  }
+
+  /**
+   * Wrap any error (axios, Node or our own), keeping its code; prefix is prepended to the message
+   */
+  static from(error, prefix = null) {
+    const message = prefix ? `${prefix}: ${error.message}` : error.message;
+    if (error instanceof BuddyClawError) {
+      return prefix ? new BuddyClawError(message, error) : error;
+    }
+
+    const response = error.response;
+    const retryAfter = parseInt(response?.headers?.['retry-after'], 10);
+    return new BuddyClawError(message, {
+      code: BuddyClawError.classify(error),
+      status: response?.status,
+      wpCode: typeof response?.data?.code === 'string' ? response.data.code : null,
+      details: error.details || response?.data || null,
+      retryAfter: Number.isNaN(retryAfter) ? null : retryAfter
+    });
+  }
+
+  /**
+   * Rebuild the error behind a failed { success: false, error, code, status, wp_code } result
+   */
+  static fromResult(result, prefix = null) {
+    return new BuddyClawError(prefix ? `${prefix}: ${result.error}` : result.error, {
+      code: result.code,
+      status: result.status,
+      wpCode: result.wp_code,
+      details: result.details,
+      retryAfter: result.retry_after
+    });
+  }
+
+  /**
+   * Stable code for an error, from its code, HTTP status and WordPress error code
+   */
+  static classify(error) {
+    if (CODES.includes(error.code)) {
+      return error.code;
+    }
+
+    const response = error.response;
+    if (!response) {
+      // Puppeteer names its timeouts rather than coding them
+      if (TIMEOUT_CODES.includes(error.code) || error.name === 'TimeoutError') return 'NETWORK_TIMEOUT';
+      if (TLS_CODES.includes(error.code)) return 'TLS_UNTRUSTED';
+      if (NETWORK_CODES.includes(error.code)) return 'NETWORK_ERROR';
+      return 'UNKNOWN';
+    }
+
+    return BuddyClawError.codeForStatus(response.status, response.data?.code);
+  }
+
+  /**
+   * Stable code for an HTTP status and optional WordPress error code
+   */
+  static codeForStatus(status, wpCode = '') {
+    wpCode = String(wpCode || '');
+    if (status === 401 || AUTH_WP_CODES.includes(wpCode) || wpCode.startsWith('jwt_auth_')) return 'AUTH_INVALID';
+    if (status === 429) return 'RATE_LIMITED';
+    if (wpCode === 'rest_no_route') return 'ENDPOINT_MISSING';
+    if (status === 403) {
+      return /^bp_rest_(group|forum)|_member/.test(wpCode) ? 'MEMBERSHIP_REQUIRED' : 'FORBIDDEN_CAPABILITY';
+    }
+    if (status === 404) return 'NOT_FOUND';
+    if (status === 400 || status === 422) return 'VALIDATION_FAILED';
+    if (status >= 500) return 'SERVER_ERROR';
+    return 'UNKNOWN';
+  }
+
+  /**
+   * Failure result in the usual shape, with the code fields added
+   */
+  toResult(extra = {}) {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      status: this.status,
+      wp_code: this.wpCode,
+      ...(this.retryAfter ? { retry_after: this.retryAfter } : {}),
+      details: this.details,
+      ...extra
+    };
+  }
+}
+
+BuddyClawError.CODES = CODES;
+
+// Export for use in other modules
+module.exports = BuddyClawError;
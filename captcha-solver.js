@@ -1,7 +1,7 @@
-const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
+const HttpClient = require('./http-client');
 
 /**
  * BuddyClaw CAPTCHA Solver
@@ -16,6 +16,7 @@ class CaptchaSolver {
     this.timeout = options.timeout || 120000; // 2 minutes default
     this.retryAttempts = options.retryAttempts || 3;
     this.retryDelay = options.retryDelay || 5000; // 5 seconds
+    this.http = new HttpClient();
   }
 
   /**
@@ -73,7 +74,7 @@ class CaptchaSolver {
       
       // Handle image URL or base64 data
       if (imageData.startsWith('http')) {
-        const response = await axios.get(imageData, { responseType: 'arraybuffer' });
+        const response = await this.http.get(imageData, { responseType: 'arraybuffer' });
         base64Image = Buffer.from(response.data).toString('base64');
       } else if (imageData.startsWith('data:image')) {
         base64Image = imageData.split(',')[1];
@@ -89,7 +90,7 @@ class CaptchaSolver {
       formData.append('body', base64Image);
       formData.append('json', '1');
 
-      const response = await axios.post(submitUrl, formData, {
+      const response = await this.http.post(submitUrl, formData, {
         headers: formData.getHeaders()
       });
 
@@ -120,7 +121,7 @@ class CaptchaSolver {
         json: '1'
       });
 
-      const response = await axios.post(submitUrl, params.toString(), {
+      const response = await this.http.post(submitUrl, params.toString(), {
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
       });
 
@@ -151,7 +152,7 @@ class CaptchaSolver {
         json: '1'
       });
 
-      const response = await axios.post(submitUrl, params.toString(), {
+      const response = await this.http.post(submitUrl, params.toString(), {
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
       });
 
@@ -182,7 +183,7 @@ class CaptchaSolver {
           json: '1'
         });
 
-        const response = await axios.get(`${pollUrl}?${params.toString()}`);
+        const response = await this.http.get(`${pollUrl}?${params.toString()}`);
 
         if (response.data.status === 1) {
           return response.data.request;
@@ -270,7 +271,7 @@ class CaptchaSolver {
         json: '1'
       });
 
-      const response = await axios.get(`${balanceUrl}?${params.toString()}`);
+      const response = await this.http.get(`${balanceUrl}?${params.toString()}`);
 
       if (response.data.status === 1) {
         return {
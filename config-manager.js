@@ -28,6 +28,8 @@ class ConfigManager {
       this.config = this.createDefaultConfig();
     }
 
+    this.applyNetworkSettings();
+
     // Ensure vault directory exists
     if (!fs.existsSync(this.vaultPath)) {
       fs.mkdirSync(this.vaultPath, { recursive: true });
@@ -48,6 +50,7 @@ class ConfigManager {
         password: '',
         content_target: 'post',
         status: 'draft',
+        output_format: 'html',
         api_token: '',
         auth_method: 'app_password'
       },
@@ -84,6 +87,47 @@ class ConfigManager {
     }
   }
 
+  /**
+   * Register the TLS settings (tls_ca_file, tls_pins, insecure_tls) and proxy of the main site and
+   * each site profile, so every HTTP request to those sites uses them
+   */
+  applyNetworkSettings(config = this.config) {
+    const HttpClient = require('./http-client');
+    const sites = [config?.wordpress, ...Object.values(config?.sites || {})];
+
+    for (const site of sites) {
+      if (!site?.url || !site.url.startsWith('http')) continue;
+      const settings = {
+        // Relative bundle paths are relative to config.yaml
+        ca_file: site.tls_ca_file ? path.resolve(path.dirname(this.configPath), site.tls_ca_file) : null,
+        pins: site.tls_pins,
+        insecure: site.insecure_tls === true
+      };
+      try {
+        HttpClient.configureTls(site.url, settings);
+      } catch (error) {
+        // Without its bundle the site is checked against the system CAs, so it fails closed
+        console.error(`❌ ${error.message}`);
+        HttpClient.configureTls(site.url, { ...settings, ca_file: null });
+      }
+      // proxy: <url> or false (direct); without it HTTPS_PROXY / NO_PROXY decide
+      try {
+        HttpClient.configureProxy(site.url, site.proxy === undefined || site.proxy === '' ? null : site.proxy);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Register config.yaml's proxy and TLS settings for command-line entry points that don't run initialize()
+   */
+  loadNetworkSettings() {
+    if (fs.existsSync(this.configPath)) {
+      this.applyNetworkSettings(this.loadConfig());
+    }
+  }
+
   /**
    * Save configuration to YAML file
    */
@@ -123,6 +167,10 @@ class ConfigManager {
       config.wordpress.status = onboardingData.status;
     }
 
+    if (onboardingData.output_format) {
+      config.wordpress.output_format = onboardingData.output_format;
+    }
+
     if (onboardingData.content_style) {
       config.content_style = onboardingData.content_style;
     }
@@ -202,6 +250,7 @@ class ConfigManager {
       auth_method: wp.auth_method || 'app_password',
       content_target: wp.content_target || 'post',
       status: wp.status || 'draft',
+      output_format: wp.output_format || 'html',
       content_style: this.config.content_style || (this.config.content && this.config.content.style) || 'informative',
       browser_enabled: !!browser.enabled,
       browser_url: browser.browserURL || '',
@@ -243,18 +292,24 @@ class ConfigManager {
 
   /**
    * Get WordPress credentials based on authentication method
+   * @param {string} siteName - Named site profile (see addSiteProfile); the main site when omitted
    */
-  getWordPressCredentials() {
+  getWordPressCredentials(siteName = null) {
     if (!this.config) {
       throw new Error('Configuration not initialized');
     }
 
+    if (siteName && siteName !== 'default') {
+      return this.getSiteCredentials(siteName);
+    }
+
     const wpConfig = this.config.wordpress;
     const credentials = {
       url: wpConfig.url,
       login_url: wpConfig.login_url,
       content_target: wpConfig.content_target,
       status: wpConfig.status,
+      output_format: wpConfig.output_format || 'html',
       auth_method: wpConfig.auth_method
     };
 
@@ -281,6 +336,129 @@ class ConfigManager {
     return credentials;
   }
 
+  /**
+   * Names of the configured sites: 'default' for the main site plus each profile under sites:
+   */
+  getSiteNames() {
+    if (!this.config) {
+      throw new Error('Configuration not initialized');
+    }
+    const names = this.config.wordpress?.url ? ['default'] : [];
+    return names.concat(Object.keys(this.config.sites || {}));
+  }
+
+  /**
+   * Credentials for a named site profile; secrets live in the vault as <type>.<site>.txt
+   */
+  getSiteCredentials(siteName) {
+    const profile = this.config.sites?.[siteName];
+    if (!profile) {
+      throw new Error(`Unknown site profile "${siteName}" (configured: ${this.getSiteNames().join(', ') || 'none'})`);
+    }
+
+    const credentials = {
+      site: siteName,
+      url: profile.url,
+      content_target: profile.content_target || this.config.wordpress.content_target,
+      status: profile.status || this.config.wordpress.status,
+      output_format: profile.output_format || this.config.wordpress.output_format || 'html',
+      auth_method: profile.auth_method || 'app_password'
+    };
+
+    switch (credentials.auth_method) {
+      case 'api_token':
+        credentials.api_token = this.getCredential(`api_token.${siteName}`) || profile.api_token;
+        break;
+
+      case 'app_password':
+        credentials.username = profile.username;
+        credentials.app_password = this.getCredential(`app_password.${siteName}`);
+        break;
+
+      case 'basic_auth':
+        credentials.username = profile.username;
+        credentials.password = this.getCredential(`password.${siteName}`);
+        break;
+
+      default:
+        throw new Error(`Site profile "${siteName}" uses unsupported auth_method ${credentials.auth_method} (use api_token, app_password or basic_auth)`);
+    }
+
+    if (!credentials.url || !credentials.url.startsWith('http')) {
+      throw new Error(`Site profile "${siteName}" needs a url starting with http:// or https://`);
+    }
+
+    return credentials;
+  }
+
+  /**
+   * Add or replace a named site profile from onboarding-style fields
+   * (site_base_url, auth_method, wp_username, wp_app_password, wp_password, wp_api_token)
+   */
+  addSiteProfile(siteName, data) {
+    if (!this.config) {
+      throw new Error('Configuration not initialized');
+    }
+    if (!/^[a-z0-9_-]+$/i.test(siteName || '') || siteName === 'default') {
+      throw new Error(`Invalid site name "${siteName}" (letters, numbers, - and _; "default" is the main site)`);
+    }
+
+    const profile = {
+      url: String(data.site_base_url || data.url || '').replace(/\/+$/, ''),
+      auth_method: data.auth_method || 'app_password'
+    };
+    if (!profile.url.startsWith('http')) {
+      throw new Error(`Site profile "${siteName}" needs a url starting with http:// or https://`);
+    }
+    if (!['api_token', 'app_password', 'basic_auth'].includes(profile.auth_method)) {
+      throw new Error(`Site profile "${siteName}" uses unsupported auth_method ${profile.auth_method} (use api_token, app_password or basic_auth)`);
+    }
+    for (const field of ['content_target', 'status', 'output_format', 'tls_ca_file', 'tls_pins', 'insecure_tls']) {
+      if (data[field]) profile[field] = data[field];
+    }
+    if (data.proxy !== undefined) {
+      profile.proxy = data.proxy;
+    }
+    if (data.wp_username) {
+      profile.username = data.wp_username;
+    }
+
+    const secrets = { api_token: data.wp_api_token, app_password: data.wp_app_password, password: data.wp_password };
+    for (const [type, value] of Object.entries(secrets)) {
+      if (value) {
+        this.storeCredential(`${type}.${siteName}`, value);
+      }
+    }
+
+    this.config.sites = { ...(this.config.sites || {}), [siteName]: profile };
+    this.applyNetworkSettings();
+    return this.saveConfig();
+  }
+
+  /**
+   * processInput fields (site_base_url plus auth) for one configured site
+   */
+  getSiteRequest(siteName) {
+    const credentials = this.getWordPressCredentials(siteName);
+    return {
+      site: siteName,
+      site_base_url: credentials.url,
+      ...this.getPosterAuth(credentials)
+    };
+  }
+
+  /**
+   * A site's content_target, status and output_format, for fan-out requests that don't set them
+   */
+  getSiteDefaults(siteName) {
+    const { content_target, status, output_format } = this.getWordPressCredentials(siteName);
+    const defaults = { content_target, status, output_format };
+    for (const key of Object.keys(defaults)) {
+      if (!defaults[key]) delete defaults[key];
+    }
+    return defaults;
+  }
+
   /**
    * Validate configuration completeness
    */
@@ -303,6 +481,24 @@ class ConfigManager {
       errors.push(`Invalid authentication method: ${wpConfig.auth_method}`);
     }
 
+    // Validate content output format
+    if (wpConfig.output_format && !['html', 'blocks'].includes(wpConfig.output_format)) {
+      errors.push(`Invalid output_format: ${wpConfig.output_format} (use html or blocks)`);
+    }
+
+    // Validate TLS settings of the main site and site profiles
+    for (const [name, site] of [['wordpress', wpConfig], ...Object.entries(this.config.sites || {})]) {
+      if (site.tls_ca_file && !fs.existsSync(path.resolve(path.dirname(this.configPath), site.tls_ca_file))) {
+        errors.push(`${name}: tls_ca_file ${site.tls_ca_file} not found`);
+      }
+      if (site.proxy !== undefined && site.proxy !== false && !/^https?:\/\/[^/]+/.test(site.proxy)) {
+        errors.push(`${name}: proxy must be an http:// or https:// URL, or false for a direct connection`);
+      }
+      if (site.tls_pins && ![].concat(site.tls_pins).every(pin => /^sha256\/[A-Za-z0-9+/]{43}=$|^([0-9a-f]{2}:?){31}[0-9a-f]{2}$/i.test(pin))) {
+        errors.push(`${name}: tls_pins must be sha256/<base64 key hash> or SHA-256 certificate fingerprints`);
+      }
+    }
+
     // Validate authentication credentials based on method
     switch (wpConfig.auth_method) {
       case 'api_token':
@@ -349,42 +545,26 @@ class ConfigManager {
    * Test connection to WordPress site
    */
   async testConnection() {
-    const axios = require('axios');
+    const HttpClient = require('./http-client');
     
     try {
       const credentials = this.getWordPressCredentials();
-      let authHeader = '';
-      let testUrl = `${credentials.url}/wp-json/wp/v2/users/me`;
-
-      switch (credentials.auth_method) {
-        case 'api_token':
-          authHeader = `Bearer ${credentials.api_token}`;
-          break;
-
-        case 'app_password':
-        case 'basic_auth':
-          const password = credentials.auth_method === 'app_password' ? 
-            credentials.app_password : credentials.password;
-          const basicAuth = Buffer.from(`${credentials.username}:${password}`).toString('base64');
-          authHeader = `Basic ${basicAuth}`;
-          break;
-
-        case 'multi_agent':
-          // For multi-agent, just test if site is accessible
-          testUrl = `${credentials.url}/wp-json/`;
-          break;
-      }
+      const authHeader = this.getAuthHeader(credentials);
+      // For multi-agent, just test if site is accessible
+      const testUrl = credentials.auth_method === 'multi_agent'
+        ? `${credentials.url}/wp-json/`
+        : `${credentials.url}/wp-json/wp/v2/users/me`;
 
-      const response = await axios.get(testUrl, {
-        headers: authHeader ? { 'Authorization': authHeader } : {},
-        timeout: 10000
-      });
+      const response = await HttpClient.forSite(credentials.url, { authHeader }).get(testUrl, { timeout: 10000 });
+
+      const seoPlugin = await this.detectSeoPlugin(credentials.url, authHeader);
 
       return {
         success: true,
         wordpress_version: response.headers['x-wp-nonce'] ? 'Modern' : 'Legacy',
         user_name: response.data.name || response.data.slug || 'N/A',
-        permissions: this.extractPermissions(response.data)
+        permissions: this.extractPermissions(response.data),
+        seo_plugin: seoPlugin
       };
 
     } catch (error) {
@@ -395,6 +575,56 @@ class ConfigManager {
     }
   }
 
+  /**
+   * Authorization header for the configured auth method ('' for multi-agent)
+   */
+  getAuthHeader(credentials = this.getWordPressCredentials()) {
+    const HttpClient = require('./http-client');
+    return HttpClient.authHeader(credentials);
+  }
+
+  /**
+   * Credential fields for EnhancedBuddyClaw.processInput for the configured auth method
+   */
+  getPosterAuth(credentials = this.getWordPressCredentials()) {
+    switch (credentials.auth_method) {
+      case 'api_token':
+        return { wp_api_token: credentials.api_token };
+      case 'app_password':
+        return { wp_username: credentials.username, wp_app_password: credentials.app_password };
+      case 'basic_auth':
+        return { wp_username: credentials.username, wp_password: credentials.password };
+      case 'multi_agent':
+        return { agent_email: credentials.multi_agent.email };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Detect Yoast SEO / Rank Math; the site probe caches what it found per site, so config is left alone
+   */
+  async detectSeoPlugin(siteUrl, authHeader = '') {
+    const SeoManager = require('./seo-manager');
+
+    try {
+      return await new SeoManager().detectPlugin(siteUrl, authHeader);
+    } catch (error) {
+      console.warn(`⚠️  SEO plugin detection failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * SEO plugin on a site as last probed ('none' if it has neither), or null if the site hasn't been probed lately
+   */
+  getCachedSeoPlugin(siteUrl) {
+    const SeoManager = require('./seo-manager');
+    const seoManager = new SeoManager();
+    const profile = seoManager.siteProbe.getCached(seoManager.siteProbe.normalizeUrl(siteUrl));
+    return profile ? seoManager.detectFromNamespaces(profile.namespaces) || 'none' : null;
+  }
+
   extractPermissions(userData) {
     const permissions = [];
     if (userData.capabilities) {
@@ -413,12 +643,20 @@ class ConfigManager {
       return 'Configuration not initialized';
     }
 
+    const HttpClient = require('./http-client');
     const wpConfig = this.config.wordpress;
     const summary = {
       url: wpConfig.url,
       auth_method: wpConfig.auth_method,
       content_target: wpConfig.content_target,
       status: wpConfig.status,
+      output_format: wpConfig.output_format || 'html',
+      seo_plugin: (wpConfig.url && this.getCachedSeoPlugin(wpConfig.url)) || 'not detected yet (run "test")',
+      tls: wpConfig.insecure_tls === true
+        ? 'INSECURE (certificates not checked)'
+        : `${wpConfig.tls_ca_file ? `CA bundle ${wpConfig.tls_ca_file}` : 'system CAs'}${wpConfig.tls_pins ? ', pinned' : ''}`,
+      proxy: wpConfig.url ? HttpClient.proxyFor(wpConfig.url)?.replace(/\/\/[^@/]*@/, '//***@') || 'direct' : 'N/A',
+      sites: this.getSiteNames(),
       browser_automation: {
         enabled: !!this.config.browser_automation?.enabled,
         browserURL: this.config.browser_automation?.browserURL || 'N/A',
@@ -473,7 +711,8 @@ class ConfigManager {
     return {
       site_base_url: credentials.url,
       content_target: credentials.content_target,
-      status: credentials.status
+      status: credentials.status,
+      output_format: credentials.output_format
     };
   }
 }
@@ -496,6 +735,10 @@ if (require.main === module) {
     console.log('  node config-manager.js --test          Test connection to WordPress');
     console.log('  node config-manager.js --summary       Show configuration summary');
     console.log('  node config-manager.js --export        Export configuration for poster');
+    console.log('  node config-manager.js --sites         List named site profiles');
+    console.log('  node config-manager.js --add-site=<name> --url=<url> [--auth-method=app_password] [--username=<user>] [--secret=<password or token>]');
+    console.log('        [--tls-ca-file=<ca.pem>] [--tls-pin=sha256/<hash>] [--insecure-tls] [--proxy=<url>|--no-proxy]');
+    console.log('                                         Add a named site profile for multi-site publishing');
     process.exit(0);
   }
 
@@ -529,6 +772,32 @@ if (require.main === module) {
         console.log(JSON.stringify(configManager.exportForPoster(), null, 2));
       }
 
+      if (args.includes('--sites')) {
+        console.log('Configured sites:');
+        configManager.getSiteNames().forEach(name => {
+          console.log(`  - ${name}: ${configManager.getWordPressCredentials(name).url}`);
+        });
+      }
+
+      const addSite = args.find(arg => arg.startsWith('--add-site='))?.split('=')[1];
+      if (addSite) {
+        const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+        const authMethod = option('auth-method') || 'app_password';
+        const pins = args.filter(arg => arg.startsWith('--tls-pin=')).map(arg => arg.slice('--tls-pin='.length));
+        const secretField = { api_token: 'wp_api_token', app_password: 'wp_app_password', basic_auth: 'wp_password' }[authMethod];
+        configManager.addSiteProfile(addSite, {
+          site_base_url: option('url'),
+          auth_method: authMethod,
+          wp_username: option('username'),
+          tls_ca_file: option('tls-ca-file'),
+          tls_pins: pins.length ? pins : undefined,
+          insecure_tls: args.includes('--insecure-tls'),
+          proxy: args.includes('--no-proxy') ? false : option('proxy'),
+          ...(secretField ? { [secretField]: option('secret') } : {})
+        });
+        console.log(`Site profile "${addSite}" saved`);
+      }
+
       if (args.includes('--init')) {
         console.log('Configuration initialized');
         console.log('Run the onboarding wizard: node onboarding.js');
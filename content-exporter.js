@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { promisify } = require('util');
+const stream = require('stream');
+const BuddyClawError = require('./buddyclaw-error');
+const HttpClient = require('./http-client');
+
+/**
+ * BuddyClaw Content Exporter
+ * Backs up a site's posts, pages, comments, activity and forum topics to a JSON + Markdown archive
+ * Spun Web Technology - Version 0.0.7
+ */
+
+const EXPORT_TARGETS = ['post', 'page', 'comment', 'activity', 'forum'];
+
+// Post types WordPress can sort by modified date (so unchanged pages can be skipped server-side)
+const MODIFIED_SORT_TARGETS = ['post', 'page'];
+
+const STATE_FILE = 'export-state.json';
+
+const pipeline = promisify(stream.pipeline);
+
+class ContentExporter {
+  /**
+   * @param {object} options - { siteUrl, authHeader, outputDir, poster (EnhancedBuddyClaw), perPage }
+   */
+  constructor(options = {}) {
+    this.siteUrl = String(options.siteUrl || '').replace(/\/+$/, '');
+    this.authHeader = options.authHeader || '';
+    this.http = HttpClient.forSite(this.siteUrl, { authHeader: this.authHeader });
+    this.outputDir = path.resolve(options.outputDir || 'buddyclaw-export');
+    this.perPage = options.perPage || 100;
+
+    if (!options.poster) {
+      const EnhancedBuddyClaw = require('./enhanced-poster');
+      options.poster = new EnhancedBuddyClaw();
+    }
+    this.poster = options.poster;
+  }
+
+  /**
+   * Export every target, only fetching what changed since the last run unless full is set
+   * @param {object} options - { targets, full, media }
+   */
+  async exportSite(options = {}) {
+    const targets = options.targets || EXPORT_TARGETS;
+    const downloadMedia = options.media !== false;
+    const state = options.full ? { targets: {} } : this.loadState();
+    const summary = { success: true, output_dir: this.outputDir, targets: {}, media_downloaded: 0 };
+
+    for (const target of targets) {
+      if (!EXPORT_TARGETS.includes(target)) {
+        summary.targets[target] = { exported: 0, error: `Unsupported export target (use ${EXPORT_TARGETS.join(', ')})` };
+        summary.success = false;
+        continue;
+      }
+
+      const since = state.targets[target]?.last_modified_gmt || null;
+      console.log(`📦 Exporting ${target}${since ? ` changed since ${since}` : ''}...`);
+
+      try {
+        const items = await this.fetchChanged(target, since);
+        let latest = since;
+
+        for (const item of items) {
+          const media = downloadMedia ? await this.downloadItemMedia(item) : [];
+          summary.media_downloaded += media.filter(entry => entry.downloaded).length;
+          this.writeItem(target, item, media);
+
+          const modified = this.getModified(item);
+          if (modified && (!latest || modified > latest)) {
+            latest = modified;
+          }
+        }
+
+        state.targets[target] = {
+          last_modified_gmt: latest,
+          exported_at: new Date().toISOString(),
+          total: (state.targets[target]?.total || 0) + items.length
+        };
+        // Saved once a target completes (items arrive newest first, so a partial run can't move the mark);
+        // an interrupted export keeps finished targets and redoes the one it stopped in
+        this.saveState(state);
+        summary.targets[target] = { exported: items.length, last_modified_gmt: latest };
+
+      } catch (error) {
+        const message = error.response?.data?.message || error.message;
+        console.warn(`⚠️  Skipping ${target}: ${message}`);
+        const code = BuddyClawError.classify(error);
+        summary.targets[target] = { exported: 0, error: message, code };
+        // A site without BuddyBoss/bbPress simply has no activity or topics to export
+        if (code !== 'ENDPOINT_MISSING') {
+          summary.success = false;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Page through a target's collection and return items modified after since
+   */
+  async fetchChanged(target, since) {
+    const collection = await this.poster.resolveCollection({ site_base_url: this.siteUrl, content_target: target }, this.authHeader);
+    const sortable = MODIFIED_SORT_TARGETS.includes(target);
+    const items = [];
+
+    for (let page = 1; ; page++) {
+      const params = { page, per_page: this.perPage };
+      if (sortable) {
+        Object.assign(params, { orderby: 'modified', order: 'desc', _embed: 'wp:featuredmedia' });
+        // Drafts and private posts (and raw content) are only visible when authenticated
+        if (this.authHeader) Object.assign(params, { status: 'any', context: 'edit' });
+        if (since) params.modified_after = `${since}Z`;
+      }
+
+      let response;
+      try {
+        response = await this.http.get(`/wp-json/${collection}`, { params });
+      } catch (error) {
+        // Paging past the end is a 400 on some routes
+        if (page > 1 && error.response?.status === 400) break;
+        throw error;
+      }
+
+      const batch = Array.isArray(response.data) ? response.data : [];
+      let reachedOld = false;
+      for (const item of batch) {
+        if (since && this.getModified(item) && this.getModified(item) <= since) {
+          reachedOld = true;
+          continue;
+        }
+        items.push(item);
+      }
+
+      const totalPages = parseInt(response.headers?.['x-wp-totalpages'], 10) || 1;
+      // Newest-first post lists can stop at the first unchanged item
+      if (batch.length === 0 || page >= totalPages || (sortable && reachedOld)) {
+        break;
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Latest change time of an item as a GMT 'YYYY-MM-DDTHH:mm:ss' string
+   */
+  getModified(item) {
+    const value = item.modified_gmt || item.date_gmt || item.date;
+    return value ? String(value).replace(' ', 'T').slice(0, 19) : null;
+  }
+
+  /**
+   * Download the featured image and same-site images referenced by an item into media/
+   * @returns {Array} [{ url, file, downloaded }]
+   */
+  async downloadItemMedia(item) {
+    const urls = new Set();
+    const featured = item._embedded?.['wp:featuredmedia']?.[0]?.source_url;
+    if (featured) urls.add(featured);
+
+    const html = item.content?.rendered || '';
+    for (const match of html.matchAll(/<img\b[^>]*\bsrc=["']([^"']+)["']/gi)) {
+      urls.add(match[1]);
+    }
+
+    const siteHost = new URL(this.siteUrl).host;
+    const mediaDir = path.resolve(this.outputDir, 'media');
+    const results = [];
+    for (const url of urls) {
+      let parsed;
+      try {
+        parsed = new URL(url, this.siteUrl);
+      } catch (error) {
+        continue;
+      }
+      if (parsed.host !== siteHost) continue;
+
+      let file;
+      try {
+        file = path.join('media', ...parsed.pathname.replace(/^\/+/, '').split('/').map(decodeURIComponent));
+      } catch (error) {
+        console.warn(`Skipping ${parsed.href}: ${error.message}`);
+        continue;
+      }
+      // Encoded ../ segments must not take the download (or its cleanup) outside media/
+      const filePath = path.resolve(this.outputDir, file);
+      if (!filePath.startsWith(mediaDir + path.sep)) {
+        console.warn(`Skipping ${parsed.href}: resolves outside the media folder`);
+        continue;
+      }
+      if (fs.existsSync(filePath)) {
+        results.push({ url: parsed.href, file, downloaded: false });
+        continue;
+      }
+
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const response = await this.http.get(parsed.href, { responseType: 'stream', timeout: 60000 });
+        await pipeline(response.data, fs.createWriteStream(filePath));
+        results.push({ url: parsed.href, file, downloaded: true });
+      } catch (error) {
+        console.warn(`Failed to download ${parsed.href}: ${error.message}`);
+        fs.rmSync(filePath, { force: true });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Write <target>/<id>.json (the raw REST item) and <target>/<id>.md (front matter + body)
+   */
+  writeItem(target, item, media = []) {
+    const dir = path.join(this.outputDir, target);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const { _embedded, _links, ...raw } = item;
+    fs.writeFileSync(path.join(dir, `${item.id}.json`), JSON.stringify(raw, null, 2));
+    fs.writeFileSync(path.join(dir, `${item.id}.md`), this.toMarkdown(target, item, media));
+  }
+
+  /**
+   * Markdown document for an item; the body stays HTML, which Markdown allows as-is
+   */
+  toMarkdown(target, item, media = []) {
+    const text = field => (field && typeof field === 'object' ? (field.raw ?? field.rendered) : field);
+    const frontMatter = {
+      id: item.id,
+      content_target: target,
+      title: text(item.title) || undefined,
+      status: item.status,
+      slug: item.slug || undefined,
+      date_gmt: item.date_gmt || item.date,
+      modified_gmt: item.modified_gmt || undefined,
+      link: item.link || undefined,
+      author: item.author ?? item.user_id ?? item.author_name,
+      categories: item.categories?.length ? item.categories : undefined,
+      tags: item.tags?.length ? item.tags : undefined,
+      post_id: target === 'comment' ? item.post : undefined,
+      parent: item.parent || undefined,
+      media: media.length ? media.map(({ url, file }) => ({ url, file })) : undefined
+    };
+    for (const key of Object.keys(frontMatter)) {
+      if (frontMatter[key] === undefined || frontMatter[key] === null) delete frontMatter[key];
+    }
+
+    const body = text(item.content) || '';
+    return `---\n${yaml.dump(frontMatter, { lineWidth: 120, noRefs: true })}---\n\n${String(body).trim()}\n`;
+  }
+
+  loadState() {
+    const statePath = path.join(this.outputDir, STATE_FILE);
+    try {
+      if (fs.existsSync(statePath)) {
+        const state = JSON.parse(fs.readFileSync(statePath, 'utf8') || '{}');
+        if (state.site_url && state.site_url !== this.siteUrl) {
+          throw new Error(`${this.outputDir} holds an export of ${state.site_url}, not ${this.siteUrl}`);
+        }
+        return { targets: state.targets || {} };
+      }
+    } catch (error) {
+      if (error.message.includes('holds an export')) throw error;
+      console.warn(`Failed to load export state: ${error.message}`);
+    }
+    return { targets: {} };
+  }
+
+  saveState(state) {
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    fs.writeFileSync(path.join(this.outputDir, STATE_FILE), JSON.stringify({ site_url: this.siteUrl, ...state }, null, 2));
+  }
+}
+
+// Export for use in other modules
+module.exports = ContentExporter;
+
+// CLI functionality
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log('BuddyClaw Content Exporter');
+    console.log('Usage:');
+    console.log('  node content-exporter.js [dir] [--full] [--targets=post,page] [--no-media]');
+    console.log('');
+    console.log('Exports the configured site to dir (default ./buddyclaw-export). Later runs only fetch');
+    console.log('items modified since the previous export; --full starts over.');
+    process.exit(0);
+  }
+
+  (async () => {
+    const ConfigManager = require('./config-manager');
+    const configManager = new ConfigManager();
+    await configManager.initialize();
+    const credentials = configManager.getWordPressCredentials();
+
+    const exporter = new ContentExporter({
+      siteUrl: credentials.url,
+      authHeader: configManager.getAuthHeader(credentials),
+      outputDir: args.find(arg => !arg.startsWith('--'))
+    });
+    const result = await exporter.exportSite({
+      full: args.includes('--full'),
+      media: !args.includes('--no-media'),
+      targets: args.find(arg => arg.startsWith('--targets='))?.split('=')[1].split(',')
+    });
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.success ? 0 : 1);
+  })().catch(error => {
+    console.error(JSON.stringify({ success: false, error: error.message }));
+    process.exit(1);
+  });
+}
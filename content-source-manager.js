@@ -1,8 +1,11 @@
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
 const RSSParser = require('rss-parser');
 const AutonomousBuddyClaw = require('./autonomous-poster');
+const MarkdownConverter = require('./markdown-converter');
+const HttpClient = require('./http-client');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
 
 /**
  * BuddyClaw Content Source Manager
@@ -14,6 +17,7 @@ class ContentSourceManager {
   constructor() {
     this.autonomous = new AutonomousBuddyClaw();
     this.rssParser = new RSSParser();
+    this.markdownConverter = new MarkdownConverter();
     this.postQueue = [];
     this.postingStats = {
       total: 0,
@@ -103,7 +107,8 @@ class ContentSourceManager {
           summary: {
             total: contentItems.length,
             successful: results.filter(r => r.success).length,
-            failed: results.filter(r => !r.success).length
+            failed: results.filter(r => !r.success).length,
+            skipped_duplicates: results.filter(r => r.duplicate).length
           }
         }
       };
@@ -123,7 +128,9 @@ class ContentSourceManager {
       }
 
       console.log(`📡 Fetching RSS feed: ${rssUrl}`);
-      const feed = await this.rssParser.parseURL(rssUrl);
+      // Fetched through HttpClient so feeds get the same timeouts, TLS and proxy settings as everything else
+      const response = await new HttpClient({ timeout: 15000 }).get(rssUrl, { responseType: 'text' });
+      const feed = await this.rssParser.parseString(response.data);
       
       console.log(`📰 Found ${feed.items.length} items in RSS feed`);
 
@@ -156,12 +163,7 @@ class ContentSourceManager {
       }
 
       console.log(`🌐 Fetching content from URL: ${url}`);
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'BuddyClaw/0.0.7 (Content Discovery)'
-        },
-        timeout: 15000
-      });
+      const response = await new HttpClient({ timeout: 15000 }).get(url);
       
       const html = response.data;
       
@@ -206,6 +208,15 @@ class ContentSourceManager {
         throw new Error('File path is required for file source');
       }
 
+      // A directory is read as a set of Markdown files
+      if (fs.statSync(filePath).isDirectory()) {
+        const files = fs.readdirSync(filePath)
+          .filter(name => MARKDOWN_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+          .sort();
+        console.log(`📁 Reading ${files.length} Markdown files from: ${filePath}`);
+        return files.map(name => this.parseMarkdownFile(path.join(filePath, name), null, options));
+      }
+
       console.log(`📁 Reading file: ${filePath}`);
       
       const content = fs.readFileSync(filePath, 'utf8');
@@ -213,7 +224,9 @@ class ContentSourceManager {
       // Parse different file formats
       let contentItems = [];
       
-      if (filePath.endsWith('.json')) {
+      if (MARKDOWN_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+        return [this.parseMarkdownFile(filePath, content, options)];
+      } else if (filePath.endsWith('.json')) {
         contentItems = JSON.parse(content);
       } else if (filePath.endsWith('.csv')) {
         contentItems = this.parseCSV(content);
@@ -238,6 +251,36 @@ class ContentSourceManager {
     }
   }
 
+  /**
+   * Read a Markdown file; front matter becomes post fields and the body is published as written
+   * Front matter keys that aren't post fields are left out and listed in the item's warnings
+   * @param {object} options - { content_target (default target), ignore_front_matter (keys to drop silently) }
+   */
+  parseMarkdownFile(filePath, content = null, options = {}) {
+    const source = content === null ? fs.readFileSync(filePath, 'utf8') : content;
+    const { attributes, body } = this.markdownConverter.parseFrontMatter(source);
+    const warnings = [];
+    const fields = this.markdownConverter.frontMatterToFields(attributes, {
+      defaultTarget: options.content_target,
+      ignore: options.ignore_front_matter,
+      warnings
+    });
+    const name = path.basename(filePath, path.extname(filePath));
+
+    return {
+      ...fields,
+      topic: fields.title || name,
+      title: fields.title || name,
+      content: body,
+      content_format: 'markdown',
+      file: filePath,
+      // Re-running the same file finds the earlier post
+      idempotency_key: fields.idempotency_key || `file:${path.resolve(filePath)}`,
+      source: 'file',
+      warnings
+    };
+  }
+
   /**
    * Process text input content
    */
@@ -280,9 +323,23 @@ class ContentSourceManager {
         generate_image: options.generate_image !== false,
         content_target: options.content_target || 'post',
         categories: options.categories || item.categories,
-        tags: options.tags || item.tags
+        tags: options.tags || item.tags,
+        // Generated titles vary between runs, so key re-runs on the source item instead
+        idempotency_key: item.idempotency_key || item.link || `${item.source || 'text'}:${item.topic || item.title}`,
+        force: !!options.force
       };
 
+      // Markdown files are published as written; their front matter overrides the run's defaults
+      if (item.content_format === 'markdown') {
+        const { topic, file, source, warnings, ...fields } = item;
+        Object.assign(postOptions, fields, {
+          output_format: options.output_format,
+          status: item.status || postOptions.status,
+          content_target: item.content_target || postOptions.content_target,
+          generate_image: !!item.featured_image_url
+        });
+      }
+
       // Use autonomous poster to generate and post content
       const result = await this.autonomous.processChatInput(item.topic, postOptions);
       
@@ -291,8 +348,10 @@ class ContentSourceManager {
         title: result.title,
         post_id: result.post_id,
         post_url: result.post_url,
+        duplicate: !!result.duplicate,
         featured_image: result.featured_image,
-        source: item.source
+        source: item.source,
+        ...(item.warnings?.length ? { warnings: item.warnings } : {})
       };
 
     } catch (error) {
@@ -383,7 +442,7 @@ if (require.main === module) {
     console.log('Options:');
     console.log('  --source [rss|file|text]          Content source type');
     console.log('  --rss-url <url>                   RSS feed URL');
-    console.log('  --file-path <path>                File path for content');
+    console.log('  --file-path <path>                File path for content (.json, .csv, .txt, .md or a folder of .md files)');
     console.log('  --content <text>                  Text content');
     console.log('  --count <number>                  Number of items to process');
     console.log('  --status [draft|publish|private]  Post status');
@@ -391,6 +450,7 @@ if (require.main === module) {
     console.log('  --delay <ms>                      Delay between posts');
     console.log('  --generate-image                  Generate featured images');
     console.log('  --content-target [post|page|activity]  Target content type');
+    console.log('  --force                           Re-post items already in the publish ledger');
     console.log('');
     console.log('Examples:');
     console.log('  node content-source-manager.js --source rss --rss-url https://example.com/feed.xml --count 5 --status draft');
@@ -416,7 +476,8 @@ if (require.main === module) {
     tone: args.find(arg => arg.startsWith('--tone='))?.split('=')[1] || 'informative',
     delay: parseInt(args.find(arg => arg.startsWith('--delay='))?.split('=')[1]) || 0,
     generate_image: args.includes('--generate-image'),
-    content_target: args.find(arg => arg.startsWith('--content-target='))?.split('=')[1] || 'post'
+    content_target: args.find(arg => arg.startsWith('--content-target='))?.split('=')[1] || 'post',
+    force: args.includes('--force')
   };
 
   // Run bulk posting
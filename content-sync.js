@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const HttpClient = require('./http-client');
+
+/**
+ * BuddyClaw Content Sync
+ * Keeps a folder of Markdown files and their WordPress posts in step, flagging conflicting edits
+ * Spun Web Technology - Version 0.0.7
+ */
+
+// Only post-like targets have a body that round-trips through a Markdown file
+const SYNC_TARGETS = ['post', 'page', 'custom_post_type'];
+
+const STATE_FILE = '.buddyclaw-sync.json';
+
+// Front matter content-exporter.js writes for reference only; never sent back to the site
+const EXPORT_ONLY_KEYS = ['id', 'link', 'modified_gmt', 'author', 'media'];
+
+class ContentSync {
+  /**
+   * @param {object} options - { siteUrl, authHeader, posterAuth (processInput auth fields), poster, contentManager }
+   */
+  constructor(options = {}) {
+    this.siteUrl = String(options.siteUrl || '').replace(/\/+$/, '');
+    this.authHeader = options.authHeader || '';
+    this.http = HttpClient.forSite(this.siteUrl, { authHeader: this.authHeader });
+    this.posterAuth = options.posterAuth || {};
+
+    if (!options.poster) {
+      const EnhancedBuddyClaw = require('./enhanced-poster');
+      options.poster = new EnhancedBuddyClaw();
+    }
+    if (!options.contentManager) {
+      const ContentSourceManager = require('./content-source-manager');
+      options.contentManager = new ContentSourceManager();
+    }
+    this.poster = options.poster;
+    this.contentManager = options.contentManager;
+  }
+
+  /**
+   * Sync every Markdown file in a folder; with dryRun only the plan is returned
+   * @returns {object} { success, dry_run, plan, results, conflicts }
+   */
+  async sync(dir, options = {}) {
+    const folder = path.resolve(dir);
+    if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+      throw new Error(`Sync needs a folder of Markdown files: ${folder}`);
+    }
+    const state = this.loadState(folder);
+    const items = await this.contentManager.processFileInput(folder, { ignore_front_matter: EXPORT_ONLY_KEYS });
+    const plan = [];
+
+    for (const item of items) {
+      plan.push(await this.planItem(folder, item, state));
+    }
+
+    const conflicts = plan.filter(step => step.action === 'conflict');
+    if (options.dryRun) {
+      return { success: true, dry_run: true, plan: plan.map(({ item, remote, ...step }) => step), conflicts: conflicts.length };
+    }
+
+    const results = [];
+    for (const step of plan) {
+      results.push(await this.applyStep(step, state));
+      // Save after each file so an interrupted sync doesn't re-create posts
+      this.saveState(folder, state);
+    }
+
+    return {
+      success: results.every(result => result.success),
+      dry_run: false,
+      results,
+      conflicts: conflicts.length
+    };
+  }
+
+  /**
+   * Decide what to do with one file by comparing it and its post with the last sync
+   * Actions: create, update, pull (remote edited), conflict (both edited), unchanged, skip
+   */
+  async planItem(folder, item, state) {
+    const file = path.relative(folder, item.file);
+    const source = fs.readFileSync(item.file, 'utf8');
+    const localHash = this.hash(source);
+    const entry = state.files[file];
+    // Exported files carry the post's id, and the modified time they were exported at, in front matter
+    const { attributes } = this.contentManager.markdownConverter.parseFrontMatter(source);
+    const postId = item.post_id || attributes.id || entry?.post_id || null;
+    const contentTarget = item.content_target || entry?.content_target || 'post';
+    const step = { file, action: 'unchanged', post_id: postId, content_target: contentTarget, local_hash: localHash, item };
+
+    if (!SYNC_TARGETS.includes(contentTarget)) {
+      return { ...step, action: 'skip', reason: `content_target ${contentTarget} can't be synced (use ${SYNC_TARGETS.join(', ')})` };
+    }
+    if (!postId) {
+      return { ...step, action: 'create' };
+    }
+
+    let remote;
+    try {
+      remote = await this.fetchRemote(item, postId, contentTarget);
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 410) {
+        return { ...step, action: 'conflict', reason: `${contentTarget} ${postId} no longer exists on the site; remove post_id to publish it again` };
+      }
+      throw error;
+    }
+
+    const baseline = entry ? entry.remote_modified_gmt : this.toGmt(attributes.modified_gmt);
+    const action = this.compare(entry, localHash, remote.modified_gmt, baseline);
+    let reason;
+    if (action === 'conflict') {
+      reason = entry
+        ? `Edited locally and on the site (remote modified ${remote.modified_gmt}, last synced ${baseline}); resolve by hand, then remove its entry from ${STATE_FILE}`
+        : `${contentTarget} ${postId} was ${baseline ? `edited on the site since the export (remote modified ${remote.modified_gmt}, exported ${baseline})` : 'never synced and has no modified_gmt to compare against'}; resolve by hand, then set modified_gmt: "${remote.modified_gmt}" in its front matter`;
+    }
+    return {
+      ...step,
+      action,
+      remote,
+      remote_modified_gmt: remote.modified_gmt,
+      reason
+    };
+  }
+
+  /**
+   * Compare a file and its post against the last sync: update, pull, conflict or unchanged
+   * baseline is the remote modified time last seen (the exported modified_gmt before a first sync)
+   */
+  compare(entry, localHash, remoteModified, baseline = entry?.remote_modified_gmt) {
+    const localChanged = !entry || entry.local_hash !== localHash;
+    // Without a baseline, edits made on the site can't be ruled out
+    const remoteChanged = !baseline || baseline !== remoteModified;
+
+    if (localChanged && remoteChanged) return 'conflict';
+    if (localChanged) return 'update';
+    if (remoteChanged) return 'pull';
+    return 'unchanged';
+  }
+
+  /**
+   * Carry out a planned step and record the new sync baseline
+   */
+  async applyStep(step, state) {
+    const { item, remote, ...summary } = step;
+
+    if (['unchanged', 'skip', 'conflict'].includes(step.action)) {
+      return { ...summary, success: step.action !== 'conflict' };
+    }
+
+    if (step.action === 'pull') {
+      const source = this.mergeRemote(fs.readFileSync(item.file, 'utf8'), remote);
+      fs.writeFileSync(item.file, source);
+      this.remember(state, step, step.post_id, this.hash(source), remote.modified_gmt);
+      return { ...summary, success: true };
+    }
+
+    const { topic, file, source, warnings, post_id, ...fields } = item;
+    const result = await this.poster.processInput({
+      site_base_url: this.siteUrl,
+      ...this.posterAuth,
+      ...fields,
+      content_target: step.content_target,
+      operation: step.action,
+      ...(step.action === 'update' ? { post_id: step.post_id } : {})
+    });
+
+    if (!result.success) {
+      return { ...summary, success: false, error: result.error, warnings };
+    }
+
+    const postId = result.data?.id || step.post_id;
+    // Duplicates (already in the publish ledger) come back without the full post
+    const modified = result.data?.modified_gmt || (await this.fetchRemote(item, postId, step.content_target)).modified_gmt;
+    this.remember(state, step, postId, step.local_hash, modified);
+    return { ...summary, post_id: postId, link: result.data?.link || null, success: true, ...(warnings.length ? { warnings } : {}) };
+  }
+
+  /**
+   * Read a post's current title, content and modified time
+   */
+  async fetchRemote(item, postId, contentTarget) {
+    const collection = await this.poster.resolveCollection({
+      site_base_url: this.siteUrl,
+      content_target: contentTarget,
+      post_type: item.post_type
+    }, this.authHeader);
+    const response = await this.http.get(`/wp-json/${collection}/${postId}`, { params: { context: 'edit' } });
+    return response.data;
+  }
+
+  /**
+   * Rewrite a local file with the post's title, status and content, keeping its other front matter
+   * The body becomes the post's stored HTML, which Markdown renders as-is
+   */
+  mergeRemote(source, remote) {
+    const { attributes } = this.contentManager.markdownConverter.parseFrontMatter(source);
+    const text = field => (field && typeof field === 'object' ? (field.raw ?? field.rendered) : field);
+    const frontMatter = { ...attributes, title: text(remote.title) || attributes.title };
+    if (remote.status) frontMatter.status = remote.status;
+
+    return `---\n${yaml.dump(frontMatter, { lineWidth: 120, noRefs: true })}---\n\n${String(text(remote.content) || '').trim()}\n`;
+  }
+
+  /**
+   * Front matter modified_gmt as the REST API writes it (YAML may have read it as a date)
+   */
+  toGmt(value) {
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 19);
+    }
+    return value ? String(value).replace(' ', 'T').slice(0, 19) : null;
+  }
+
+  remember(state, step, postId, localHash, remoteModified) {
+    state.files[step.file] = {
+      post_id: postId,
+      content_target: step.content_target,
+      local_hash: localHash,
+      remote_modified_gmt: remoteModified,
+      synced_at: new Date().toISOString()
+    };
+  }
+
+  hash(source) {
+    return crypto.createHash('sha256').update(source).digest('hex');
+  }
+
+  loadState(folder) {
+    const statePath = path.join(folder, STATE_FILE);
+    if (!fs.existsSync(statePath)) {
+      return { files: {} };
+    }
+
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8') || '{}');
+    if (state.site_url && state.site_url !== this.siteUrl) {
+      throw new Error(`${folder} is synced with ${state.site_url}, not ${this.siteUrl}`);
+    }
+    return { files: state.files || {} };
+  }
+
+  saveState(folder, state) {
+    fs.writeFileSync(path.join(folder, STATE_FILE), JSON.stringify({ site_url: this.siteUrl, ...state }, null, 2));
+  }
+}
+
+// Export for use in other modules
+module.exports = ContentSync;
+
+// CLI functionality
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dir = args.find(arg => !arg.startsWith('--'));
+
+  if (!dir || args.includes('--help') || args.includes('-h')) {
+    console.log('BuddyClaw Content Sync');
+    console.log('Usage:');
+    console.log('  node content-sync.js <dir> [--dry-run]');
+    console.log('');
+    console.log('Publishes new Markdown files, updates changed ones and pulls posts edited on the site.');
+    console.log(`Post IDs are read from front matter (post_id) or ${STATE_FILE} in the folder;`);
+    console.log('files edited both locally and on the site are reported as conflicts and left alone.');
+    process.exit(dir ? 0 : 1);
+  }
+
+  (async () => {
+    const ConfigManager = require('./config-manager');
+    const configManager = new ConfigManager();
+    await configManager.initialize();
+    const credentials = configManager.getWordPressCredentials();
+
+    const contentSync = new ContentSync({
+      siteUrl: credentials.url,
+      authHeader: configManager.getAuthHeader(credentials),
+      posterAuth: configManager.getPosterAuth(credentials)
+    });
+    const result = await contentSync.sync(dir, { dryRun: args.includes('--dry-run') });
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.success ? 0 : 1);
+  })().catch(error => {
+    console.error(JSON.stringify({ success: false, error: error.message }));
+    process.exit(1);
+  });
+}
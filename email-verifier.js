@@ -1,6 +1,8 @@
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const BuddyClawError = require('./buddyclaw-error');
+const HttpClient = require('./http-client');
 
 /**
  * Email Verifier - Himalaya Mail Client Integration
@@ -53,11 +55,9 @@ class EmailVerifier {
     }
     
     console.log(`Email verification check timed out after ${timeout/1000} seconds`);
-    return {
-      success: false,
-      error: `No verification email found within ${timeout/1000} seconds`,
-      attempts: attempts
-    };
+    return new BuddyClawError(`No verification email found within ${timeout/1000} seconds`, {
+      code: 'NETWORK_TIMEOUT'
+    }).toResult({ attempts });
   }
 
   getGlobalArgs() {
@@ -278,6 +278,7 @@ class EmailVerifier {
         '-L', // Follow redirects
         '-s', // Silent mode
         '-w', 'HTTP_CODE:%{http_code}', // Write out HTTP code
+        ...HttpClient.curlArgs(link), // The site's CA bundle, pins or insecure_tls
         link
       ]);
 
@@ -303,29 +304,22 @@ class EmailVerifier {
               message: 'Verification link clicked successfully'
             });
           } else {
-            resolve({
-              success: false,
-              httpCode: httpCode,
-              error: `HTTP ${httpCode} response`,
-              output: stdout
-            });
+            // curl reports 000 when it never got a response
+            resolve(new BuddyClawError(`HTTP ${httpCode} response`, {
+              code: httpCode ? BuddyClawError.codeForStatus(httpCode) : 'NETWORK_ERROR',
+              status: httpCode || null
+            }).toResult({ httpCode, output: stdout }));
           }
         });
 
         setTimeout(() => {
           curlProcess.kill();
-          resolve({
-            success: false,
-            error: 'Verification link request timed out'
-          });
+          resolve(new BuddyClawError('Verification link request timed out', { code: 'NETWORK_TIMEOUT' }).toResult());
         }, 15000);
       });
       
     } catch (error) {
-      return {
-        success: false,
-        error: `Failed to click verification link: ${error.message}`
-      };
+      return BuddyClawError.from(error, 'Failed to click verification link').toResult();
     }
   }
 
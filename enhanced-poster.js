@@ -1,9 +1,83 @@
-const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const stream = require('stream');
+const { promisify } = require('util');
 const AgentManager = require('./agent-manager');
 const EmailVerifier = require('./email-verifier');
+const PublishLedger = require('./publish-ledger');
+const TaxonomyResolver = require('./taxonomy-resolver');
+const PostTypeResolver = require('./post-type-resolver');
+const PublishScheduler = require('./publish-scheduler');
+const MarkdownConverter = require('./markdown-converter');
+const BlockSerializer = require('./block-serializer');
+const SeoManager = require('./seo-manager');
+const SiteProbe = require('./site-probe');
+const PayloadSchema = require('./payload-schema');
+const BuddyClawError = require('./buddyclaw-error');
+const HttpClient = require('./http-client');
+
+const CONTENT_OPERATIONS = ['create', 'update', 'trash', 'delete'];
+
+// Read operations and the targets they work on
+const READ_OPERATIONS = ['list', 'get', 'search'];
+const READABLE_TARGETS = ['post', 'page', 'custom_post_type', 'comment', 'activity', 'forum', 'forum_reply', 'media', 'message'];
+
+// ID field naming the item for get/update/trash/delete, per content target
+const ID_FIELDS = {
+  comment: 'comment_id',
+  activity: 'activity_id',
+  forum_reply: 'reply_id',
+  message: 'thread_id',
+  media: 'media_id'
+};
+
+// Largest page the WordPress REST API serves
+const MAX_PER_PAGE = 100;
+
+// Media uploads can be large; everything else uses the HTTP client's default timeout
+const UPLOAD_TIMEOUT = 120000;
+
+// Default cap on message recipients per run, so a bad list can't turn into a mass send
+const MESSAGE_RECIPIENT_LIMIT = 10;
+
+// Targets stored as WordPress posts: scheduled natively via status "future", edited in the
+// block editor (output_format: 'blocks') and accepting the standard post fields below
+const POST_TARGETS = ['post', 'page', 'custom_post_type'];
+
+const POST_STATUSES = ['publish', 'future', 'draft', 'pending', 'private'];
+
+const POST_FORMATS = ['standard', 'aside', 'chat', 'gallery', 'link', 'image', 'quote', 'status', 'video', 'audio'];
+
+// Standard post fields passed through to the REST API, with the values WordPress accepts
+const POST_FIELD_RULES = {
+  slug: { type: 'string' },
+  excerpt: { type: 'string' },
+  author: { type: 'integer', min: 1 },
+  sticky: { type: 'boolean', targets: ['post'] },
+  format: { type: 'string', enum: POST_FORMATS, targets: ['post'] },
+  comment_status: { type: 'string', enum: ['open', 'closed'] },
+  ping_status: { type: 'string', enum: ['open', 'closed'] },
+  password: { type: 'string' },
+  template: { type: 'string' },
+  parent: { type: 'integer', min: 0, targets: ['page', 'custom_post_type'] },
+  menu_order: { type: 'integer', targets: ['page', 'custom_post_type'] },
+  meta: { type: 'object' }
+};
+
+const ACTIVITY_PROVIDERS = ['buddyboss', 'buddypress'];
+
+// Comment statuses a moderator may set; publish maps to approved
+const COMMENT_STATUSES = ['approved', 'hold', 'spam', 'trash'];
+
+// BuddyBoss activity privacy values; BuddyPress activity has no privacy field
+const ACTIVITY_PRIVACY = ['public', 'loggedin', 'onlyme', 'friends'];
+
+// Request fields that carry a site's identity and credentials; each fan-out site brings its own
+const SITE_FIELDS = ['site_base_url', 'wp_username', 'wp_app_password', 'wp_api_token', 'wp_password', 'wp_user_id', 'agent_email'];
+
+const pipeline = promisify(stream.pipeline);
 
 /**
  * Enhanced BuddyClaw Poster - Multi-Agent WordPress Integration with REST API Token Support
@@ -16,31 +90,193 @@ class EnhancedBuddyClaw {
   constructor() {
     this.agentManager = new AgentManager();
     this.emailVerifier = new EmailVerifier();
+    this.ledger = new PublishLedger();
+    this.taxonomyResolver = new TaxonomyResolver();
+    this.postTypeResolver = new PostTypeResolver();
+    this.siteProbe = new SiteProbe();
+    this.scheduler = new PublishScheduler({ siteProbe: this.siteProbe });
+    this.markdownConverter = new MarkdownConverter();
+    this.blockSerializer = new BlockSerializer();
+    this.seoManager = new SeoManager({ siteProbe: this.siteProbe });
+    this.moderatorCache = new Map();
+    this.messageRecipientsSent = 0;
+    this.payloadSchema = new PayloadSchema();
   }
 
   async processInput(inputData) {
     try {
       // Parse input
-      const data = typeof inputData === 'string' ? JSON.parse(inputData) : inputData;
+      const parsed = typeof inputData === 'string' ? JSON.parse(inputData) : inputData;
+      if (parsed.sites) {
+        return await this.processMultiSite(parsed);
+      }
+      const warnings = [];
+      const data = this.prepareContent(parsed, warnings);
       
       // Determine authentication method
       const authMethod = this.determineAuthMethod(data);
       console.log(`Using authentication method: ${authMethod}`);
+
+      // Every field is checked before anything is sent
+      this.payloadSchema.assertValid(data, authMethod);
       
       // Check if this is a multi-agent request
-      if (data.agent_email) {
-        return await this.processMultiAgentRequest(data, authMethod);
-      } else {
+      const result = data.agent_email
+        ? await this.processMultiAgentRequest(data, authMethod)
         // Legacy single-user request with chosen auth method
-        return await this.processSingleUserRequest(data, authMethod);
+        : await this.processSingleUserRequest(data, authMethod);
+      return warnings.length > 0 ? { ...result, warnings } : result;
+    } catch (error) {
+      return BuddyClawError.from(error).toResult();
+    }
+  }
+
+  /**
+   * Publish the same request to several sites, one after another
+   * sites: profile names from config.yaml (array or comma-separated) and/or objects with site_base_url and credentials
+   * A failing site is reported in its own result and doesn't stop the others
+   */
+  async processMultiSite(data) {
+    const results = [];
+
+    for (const site of await this.resolveSiteRequests(data)) {
+      let result;
+      if (site.error) {
+        result = new BuddyClawError(site.error, { code: 'VALIDATION_FAILED' }).toResult();
+      } else {
+        console.log(`🌐 Publishing to ${site.site} (${site.site_base_url})...`);
+        result = await this.processInput(site.request);
       }
+      results.push({ site: site.site, site_base_url: site.site_base_url, ...result });
+    }
+
+    const failed = results.filter(result => !result.success);
+    return {
+      success: failed.length === 0,
+      partial: failed.length > 0 && failed.length < results.length,
+      sites: results,
+      succeeded: results.length - failed.length,
+      failed: failed.length,
+      error: failed.length > 0 ? `Failed on ${failed.map(result => `${result.site}: ${result.error}`).join('; ')}` : undefined
+    };
+  }
+
+  /**
+   * Expand a sites list into one full request per site, each with that site's URL and credentials
+   * @returns {Array} [{ site, site_base_url, request }] or [{ site, site_base_url, error }]
+   */
+  async resolveSiteRequests(data) {
+    const { sites, ...request } = data;
+    const entries = (Array.isArray(sites) ? sites : String(sites).split(','))
+      .map(entry => (typeof entry === 'string' ? entry.trim() : entry))
+      .filter(Boolean);
+    if (entries.length === 0) {
+      throw new BuddyClawError('sites must list at least one site profile name or { site_base_url, credentials } object', { code: 'VALIDATION_FAILED' });
+    }
+
+    // The shared request's own site and credentials never leak into another site
+    const shared = { ...request };
+    for (const field of SITE_FIELDS) {
+      delete shared[field];
+    }
+    // Unset fields mustn't hide a site's defaults
+    for (const [field, value] of Object.entries(shared)) {
+      if (value === undefined || value === null) delete shared[field];
+    }
+
+    let configManager = null;
+    const resolved = [];
+
+    for (const entry of entries) {
+      const name = typeof entry === 'string' ? entry : entry.site || entry.site_base_url;
+      try {
+        let siteFields = entry;
+        let defaults = {};
+        if (typeof entry === 'string') {
+          if (!configManager) {
+            const ConfigManager = require('./config-manager');
+            configManager = new ConfigManager();
+            await configManager.initialize();
+          }
+          siteFields = configManager.getSiteRequest(entry);
+          // The profile's output format, status and target apply unless the request sets its own
+          defaults = configManager.getSiteDefaults(entry);
+        }
+        if (!siteFields.site_base_url) {
+          throw new BuddyClawError('site_base_url is required for each site', { code: 'VALIDATION_FAILED' });
+        }
+
+        const { site, sites: nested, ...fields } = siteFields;
+        resolved.push({ site: name, site_base_url: fields.site_base_url, request: { ...defaults, ...shared, ...fields } });
+      } catch (error) {
+        resolved.push({ site: name, site_base_url: entry.site_base_url || null, error: error.message });
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Check a payload against its JSON Schema without sending anything
+   * @returns {object} { success, valid, content_target, auth_method, errors } (per site under sites for fan-out payloads)
+   */
+  async validateInput(inputData) {
+    const parsed = typeof inputData === 'string' ? JSON.parse(inputData) : inputData;
+
+    if (parsed.sites) {
+      const sites = [];
+      for (const site of await this.resolveSiteRequests(parsed)) {
+        sites.push(site.error
+          ? { site: site.site, valid: false, errors: [{ path: '/sites', message: site.error }] }
+          : { site: site.site, ...(await this.validateInput(site.request)) });
+      }
+      const valid = sites.every(site => site.valid);
+      return { success: valid, valid, sites };
+    }
+
+    const warnings = [];
+    const data = this.prepareContent(parsed, warnings);
+    const contentTarget = data.content_target || 'post';
+    let authMethod;
+    try {
+      authMethod = this.determineAuthMethod(data);
     } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        details: error.response?.data || null
-      };
+      return { success: false, valid: false, content_target: contentTarget, auth_method: null, errors: [{ path: '/', message: error.message }], warnings };
+    }
+
+    const { valid, errors } = this.payloadSchema.validate(data, authMethod);
+    return { success: valid, valid, content_target: contentTarget, auth_method: authMethod, errors, warnings };
+  }
+
+  /**
+   * Convert Markdown content to HTML and, with output_format: 'blocks', HTML to Gutenberg blocks
+   * Front matter fills in fields the request didn't set explicitly; keys it can't set are added to warnings
+   */
+  prepareContent(data, warnings = []) {
+    if (typeof data.content !== 'string') {
+      return data;
+    }
+
+    let prepared = data;
+    if (data.content_format === 'markdown') {
+      const document = this.markdownConverter.convertDocument(data.content, { contentTarget: data.content_target, warnings });
+      prepared = { ...document };
+      for (const [key, value] of Object.entries(data)) {
+        if (value !== undefined && key !== 'content') {
+          prepared[key] = value;
+        }
+      }
+      // Already converted; don't convert again if the payload is queued and re-processed
+      delete prepared.content_format;
+    }
+
+    // Only block-editor content gets block markup; activity, comments and topics stay HTML
+    const target = prepared.content_target || 'post';
+    if (prepared.output_format === 'blocks' && POST_TARGETS.includes(target)) {
+      prepared = { ...prepared, content: this.blockSerializer.fromHtml(prepared.content) };
     }
+
+    return prepared;
   }
 
   determineAuthMethod(data) {
@@ -53,15 +289,18 @@ class EnhancedBuddyClaw {
       return 'basic_auth';
     } else if (data.agent_email) {
       return 'multi_agent';
+    } else if (data.content_target === 'comment' && data.author_name && data.author_email) {
+      // Sites that allow anonymous comments accept them with just a name and email
+      return 'anonymous';
     } else {
-      throw new Error('No authentication method provided. Use wp_api_token, wp_app_password, wp_username+wp_password, or agent_email');
+      throw new BuddyClawError('No authentication method provided. Use wp_api_token, wp_app_password, wp_username+wp_password, or agent_email', { code: 'AUTH_INVALID' });
     }
   }
 
   async processMultiAgentRequest(data, authMethod) {
     console.log(`Processing multi-agent request for ${data.agent_email}`);
     
-    const { agent_email, site_base_url, content_target, title, content, status = 'draft' } = data;
+    const { agent_email, site_base_url } = data;
     
     // Get agent credentials
     const credentialsResult = this.agentManager.getAgentCredentials(agent_email);
@@ -75,15 +314,12 @@ class EnhancedBuddyClaw {
     // Use existing credentials with app password method
     const credentials = credentialsResult.credentials;
     
-    // Prepare WordPress request
+    // Prepare WordPress request (keep operation/ID fields from the original input)
     const wpData = {
+      ...data,
       site_base_url: site_base_url || credentials.siteUrl,
       wp_username: credentials.username,
-      wp_app_password: credentials.appPassword,
-      content_target,
-      title,
-      content,
-      status
+      wp_app_password: credentials.appPassword
     };
     
     const result = await this.publishToWordPress(wpData, 'app_password');
@@ -100,6 +336,8 @@ class EnhancedBuddyClaw {
         return await this.publishWithAppPassword(data);
       case 'basic_auth':
         return await this.publishWithBasicAuth(data);
+      case 'anonymous':
+        return await this.publishToWordPress(data, 'anonymous');
       default:
         throw new Error(`Unsupported authentication method: ${authMethod}`);
     }
@@ -115,7 +353,7 @@ class EnhancedBuddyClaw {
       const userInfo = await this.getUserInfoWithToken(site_base_url, wp_api_token);
       
       if (!userInfo.success) {
-        throw new Error(`Failed to get user info: ${userInfo.error}`);
+        throw BuddyClawError.fromResult(userInfo, 'Failed to get user info');
       }
       
       // Use the user ID from token validation
@@ -130,12 +368,7 @@ class EnhancedBuddyClaw {
       return result;
       
     } catch (error) {
-      return {
-        success: false,
-        error: `API Token authentication failed: ${error.message}`,
-        details: error.response?.data || null,
-        auth_method: 'api_token'
-      };
+      return BuddyClawError.from(error, 'API Token authentication failed').toResult({ auth_method: 'api_token' });
     }
   }
 
@@ -155,16 +388,7 @@ class EnhancedBuddyClaw {
 
   async getUserInfoWithToken(siteUrl, apiToken) {
     try {
-      // Skip SSL verification for testing (remove in production)
-      const axiosConfig = {
-        headers: {
-          'Authorization': `Bearer ${apiToken}`,
-          'Content-Type': 'application/json'
-        },
-        httpsAgent: new (require('https').Agent)({ rejectUnauthorized: false })
-      };
-      
-      const response = await axios.get(`${siteUrl}/wp-json/wp/v2/users/me`, axiosConfig);
+      const response = await this.http(siteUrl, `Bearer ${apiToken}`).get('/wp-json/wp/v2/users/me');
       
       return {
         success: true,
@@ -175,16 +399,12 @@ class EnhancedBuddyClaw {
       };
       
     } catch (error) {
-      return {
-        success: false,
-        error: `Token validation failed: ${error.message}`,
-        details: error.response?.data || null
-      };
+      return BuddyClawError.from(error, 'Token validation failed').toResult();
     }
   }
 
   async registerAndPublish(data) {
-    const { agent_email, site_base_url, content_target, title, content, status = 'draft' } = data;
+    const { agent_email, site_base_url } = data;
     
     try {
       // Step 1: Register agent
@@ -236,13 +456,10 @@ class EnhancedBuddyClaw {
       }
       
       const publishData = {
+        ...data,
         site_base_url,
         wp_username: finalCreds.credentials.username,
-        wp_app_password: finalCreds.credentials.appPassword,
-        content_target,
-        title,
-        content,
-        status
+        wp_app_password: finalCreds.credentials.appPassword
       };
       
       const result = await this.publishToWordPress(publishData, 'app_password');
@@ -250,12 +467,7 @@ class EnhancedBuddyClaw {
       return result;
       
     } catch (error) {
-      return {
-        success: false,
-        error: `Registration and publishing failed: ${error.message}`,
-        details: error.response?.data || null,
-        auth_method: 'multi_agent'
-      };
+      return BuddyClawError.from(error, 'Registration and publishing failed').toResult({ auth_method: 'multi_agent' });
     }
   }
 
@@ -272,10 +484,13 @@ class EnhancedBuddyClaw {
       content,
       status = 'draft',
       media = [],
+      operation = 'create',
+      force = false,
       dry_run = false
     } = data;
 
     if (dry_run) {
+      const existing = operation === 'create' ? this.ledger.lookup(data) : null;
       return {
         success: true,
         dry_run: true,
@@ -284,9 +499,12 @@ class EnhancedBuddyClaw {
           site_base_url,
           auth_method: authMethod,
           content_target,
+          operation,
           title,
           content_preview: content?.substring(0, 100) + '...',
-          status
+          status,
+          date: data.date_gmt || data.date || null,
+          duplicate_of: existing && !force ? existing.id : null
         }
       };
     }
@@ -294,61 +512,158 @@ class EnhancedBuddyClaw {
     try {
       // Validate required fields
       if (!site_base_url) {
-        throw new Error('Missing required site_base_url');
+        throw new BuddyClawError('Missing required site_base_url', { code: 'VALIDATION_FAILED' });
       }
 
-      // Validate required content by target
-      if (content_target === 'comment') {
-        if (!content) {
-          throw new Error('Missing required content for comment');
-        }
-        if (!data.post_id) {
-          throw new Error('Missing required post_id for comment target');
-        }
-      } else {
-        if (!title || !content) {
-          throw new Error('Missing required content fields (title, content)');
+      if (!CONTENT_OPERATIONS.includes(operation) && !READ_OPERATIONS.includes(operation)) {
+        throw new BuddyClawError(`Unsupported operation: ${operation}. Use ${[...CONTENT_OPERATIONS, ...READ_OPERATIONS].join(', ')}`, { code: 'VALIDATION_FAILED' });
+      }
+      if (READ_OPERATIONS.includes(operation) && !READABLE_TARGETS.includes(content_target)) {
+        throw new BuddyClawError(`Operation ${operation} is not supported for ${content_target}; use ${READABLE_TARGETS.join(', ')}`, { code: 'VALIDATION_FAILED' });
+      }
+      if (operation === 'search' && !data.search) {
+        throw new BuddyClawError('Missing required search terms for search operation', { code: 'VALIDATION_FAILED' });
+      }
+
+      // Validate required content by target (update/trash/delete validate their own IDs)
+      if (operation === 'create') {
+        if (content_target === 'comment') {
+          if (!content) {
+            throw new BuddyClawError('Missing required content for comment', { code: 'VALIDATION_FAILED' });
+          }
+          if (!data.post_id) {
+            throw new BuddyClawError('Missing required post_id for comment target', { code: 'VALIDATION_FAILED' });
+          }
+        } else if (content_target === 'activity') {
+          // Activity updates are often untitled status posts
+          if (!content) {
+            throw new BuddyClawError('Missing required content for activity', { code: 'VALIDATION_FAILED' });
+          }
+        } else if (content_target === 'message') {
+          if (!content) {
+            throw new BuddyClawError('Missing required content for message', { code: 'VALIDATION_FAILED' });
+          }
+          if (!data.thread_id && !this.normalizeRecipients(data.recipients).length) {
+            throw new BuddyClawError('Missing required recipients (or thread_id to reply) for message target', { code: 'VALIDATION_FAILED' });
+          }
+          if (!data.thread_id && !(data.subject || title)) {
+            throw new BuddyClawError('Missing required subject for a new message thread', { code: 'VALIDATION_FAILED' });
+          }
+        } else if (content_target === 'forum_reply') {
+          if (!content) {
+            throw new BuddyClawError('Missing required content for forum reply', { code: 'VALIDATION_FAILED' });
+          }
+          if (!data.topic_id) {
+            throw new BuddyClawError('Missing required topic_id for forum_reply target', { code: 'VALIDATION_FAILED' });
+          }
+        } else {
+          if (!title || !content) {
+            throw new BuddyClawError('Missing required content fields (title, content)', { code: 'VALIDATION_FAILED' });
+          }
         }
       }
 
+      if (status === 'future' && !data.date && !data.date_gmt) {
+        throw new BuddyClawError('status "future" requires a date or date_gmt', { code: 'VALIDATION_FAILED' });
+      }
+
+      if (data.seo) {
+        this.seoManager.normalize(data.seo);
+      }
+
       // Generate appropriate auth header based on method
       let authHeader;
       switch (authMethod) {
         case 'api_token':
           if (!wp_api_token) {
-            throw new Error('Missing wp_api_token for API token authentication');
+            throw new BuddyClawError('Missing wp_api_token for API token authentication', { code: 'VALIDATION_FAILED' });
           }
-          authHeader = `Bearer ${wp_api_token}`;
+          authHeader = HttpClient.authHeader({ auth_method: authMethod, wp_api_token });
           break;
           
         case 'app_password':
           if (!wp_username || !wp_app_password) {
-            throw new Error('Missing wp_username or wp_app_password for app password authentication');
+            throw new BuddyClawError('Missing wp_username or wp_app_password for app password authentication', { code: 'VALIDATION_FAILED' });
           }
-          authHeader = 'Basic ' + Buffer.from(wp_username + ':' + wp_app_password).toString('base64');
+          authHeader = HttpClient.authHeader({ auth_method: authMethod, wp_username, wp_app_password });
           break;
           
         case 'basic_auth':
           if (!wp_username || !wp_password) {
-            throw new Error('Missing wp_username or wp_password for basic authentication');
+            throw new BuddyClawError('Missing wp_username or wp_password for basic authentication', { code: 'VALIDATION_FAILED' });
           }
-          authHeader = 'Basic ' + Buffer.from(wp_username + ':' + wp_password).toString('base64');
+          authHeader = HttpClient.authHeader({ auth_method: authMethod, wp_username, wp_password });
+          break;
+
+        case 'anonymous':
+          if (content_target !== 'comment' || operation !== 'create') {
+            throw new BuddyClawError('Requests without credentials can only create comments', { code: 'VALIDATION_FAILED' });
+          }
+          authHeader = null;
           break;
           
         default:
           throw new Error(`Unsupported authentication method: ${authMethod}`);
       }
+
+      if (READ_OPERATIONS.includes(operation)) {
+        return content_target === 'message'
+          ? await this.readMessages(data, operation, authHeader, authMethod)
+          : await this.readContent(data, operation, authHeader, authMethod);
+      }
+
+      // Existing content is modified in place rather than published
+      if (operation !== 'create') {
+        return await this.modifyContent(data, operation, authHeader, authMethod);
+      }
+
+      // Return the existing item instead of posting a duplicate unless forced
+      const existing = this.ledger.lookup(data);
+      if (existing && !force) {
+        console.log(`Skipping ${content_target}: already published as ${existing.id} (use force to re-post)`);
+        return {
+          success: true,
+          duplicate: true,
+          message: `${content_target} already published`,
+          data: { id: existing.id, link: existing.link },
+          auth_method: authMethod,
+          media_uploaded: 0
+        };
+      }
+
+      // Future dates are scheduled natively where WordPress supports it, otherwise queued locally
+      let schedule = null;
+      if (data.date || data.date_gmt) {
+        schedule = await this.scheduler.resolvePublishDate(data, authHeader);
+        if (schedule.isFuture && !POST_TARGETS.includes(content_target)) {
+          const key = this.ledger.buildKey(data);
+          const queued = force ? null : this.scheduler.findPending(key);
+          const job = queued || this.scheduler.enqueue(data, schedule.utc, key);
+          return {
+            success: true,
+            scheduled: true,
+            duplicate: !!queued,
+            message: `${content_target} scheduled for ${job.publish_at}`,
+            data: { schedule_id: job.id, publish_at: job.publish_at },
+            auth_method: authMethod,
+            media_uploaded: 0
+          };
+        }
+      }
       
-      // Handle media uploads first
+      // Handle media uploads first (keep positions so {{media:N}} placeholders line up)
       let mediaIds = [];
+      const uploads = [];
       if (media && media.length > 0) {
         console.log(`Uploading ${media.length} media items...`);
         for (const mediaItem of media) {
           const uploadResult = await this.uploadMedia(mediaItem, site_base_url, authHeader);
           if (uploadResult.success) {
             mediaIds.push(uploadResult.mediaId);
+            uploads.push(uploadResult);
           } else {
             console.warn(`Failed to upload media: ${uploadResult.error}`);
+            uploads.push(null);
           }
         }
       }
@@ -356,13 +671,16 @@ class EnhancedBuddyClaw {
       // Prepare content
       let finalContent = content;
       
-      // Insert media into content if uploaded
-      if (mediaIds.length > 0) {
-        finalContent = this.insertMediaIntoContent(content, mediaIds, site_base_url);
+      // Insert media into content (placeholders or appended); placeholders with no upload behind them are always stripped
+      if (uploads.length > 0 || content) {
+        finalContent = this.insertMediaIntoContent(content, uploads);
       }
 
       // Prepare API request based on content target
       let endpoint, payload;
+      let taxonomy = null;
+      let featuredImage = null;
+      let seoPlan = null;
       
       switch (content_target) {
         case 'page':
@@ -372,30 +690,29 @@ class EnhancedBuddyClaw {
             content: finalContent,
             status: status
           };
+          this.applyPostFields(payload, data, content_target);
+          this.applySchedule(payload, schedule, status);
+          taxonomy = await this.applyTaxonomies(payload, data, authHeader);
+          featuredImage = await this.applyFeaturedImage(payload, data, authHeader);
+          seoPlan = await this.prepareSeo(payload, data, authHeader);
           break;
           
         case 'activity':
-          // BuddyBoss/BuddyPress activity
-          endpoint = `${site_base_url}/wp-json/buddyboss/v1/activity`;
-          payload = {
-            content: `${title}\n\n${finalContent}`,
-            component: 'activity',
-            type: 'activity_update'
-          };
+          // BuddyBoss/BuddyPress activity, optionally in a group's stream
+          {
+            const activityPath = await this.getActivityEndpoint(data, authHeader);
+            endpoint = `${site_base_url}/wp-json/${activityPath}`;
+            payload = await this.buildActivityPayload(data, finalContent, activityPath, authHeader);
+          }
           break;
         
         case 'forum':
           {
             const forumId = data.forum_id || data.forumId || data.forum;
             if (!forumId) {
-              throw new Error('Missing required forum_id for forum target');
+              throw new BuddyClawError('Missing required forum_id for forum target', { code: 'VALIDATION_FAILED' });
             }
-            const candidateEndpoints = [
-              `${site_base_url}/wp-json/buddyboss/v1/forums/${encodeURIComponent(String(forumId))}/topics`,
-              `${site_base_url}/wp-json/buddyboss/v1/topics`,
-              `${site_base_url}/wp-json/wp/v2/topics`,
-              `${site_base_url}/wp-json/wp/v2/topic`
-            ];
+            const topicsPath = await this.getProbedEndpoint(data, 'forum_topics', authHeader, { forum_id: forumId });
             const forumPayload = {
               title: title,
               content: finalContent,
@@ -405,48 +722,69 @@ class EnhancedBuddyClaw {
             };
             if (data.group_id) forumPayload.group_id = data.group_id;
             if (data.groupId) forumPayload.group_id = data.groupId;
-            const attempt = async () => {
-              let lastError = null;
-              for (const ep of candidateEndpoints) {
-                try {
-                  const r = await axios.post(ep, forumPayload, {
-                    headers: {
-                      'Authorization': authHeader,
-                      'Content-Type': 'application/json'
-                    }
-                  });
-                  return { endpoint: ep, data: r.data };
-                } catch (e) {
-                  const code = e.response?.status || 0;
-                  if (code === 404 || code === 405) {
-                    lastError = e;
-                    continue;
-                  }
-                  throw e;
-                }
-              }
-              throw new Error(lastError?.message || 'No compatible forum endpoint found');
-            };
-            const forumResult = await attempt();
-            endpoint = forumResult.endpoint;
+            endpoint = `${site_base_url}/wp-json/${topicsPath}`;
             payload = forumPayload;
+            const forumResponse = await this.http(site_base_url, authHeader).post(endpoint, forumPayload);
+            this.recordPublished(data, forumResponse.data);
             console.log(`Successfully published forum!`);
             return {
               success: true,
               message: `forum published successfully`,
-              data: forumResult.data,
+              data: forumResponse.data,
               auth_method: authMethod,
               media_uploaded: mediaIds.length
             };
           }
         
+        case 'custom_post_type':
+          {
+            const postType = await this.postTypeResolver.getPostType(site_base_url, data.post_type, authHeader);
+            endpoint = postType.endpoint;
+            payload = {
+              title: title,
+              content: finalContent,
+              status: status,
+              ...(data.fields || {})
+            };
+
+            // Validate everything we are about to send, including fields filled in after uploads
+            this.applyPostFields(payload, data, content_target);
+            this.applySchedule(payload, schedule, status);
+            const args = await this.postTypeResolver.getCreateArgs(endpoint, authHeader);
+            const pending = { ...payload };
+            if (data.featured_image_url) pending.featured_media = 0;
+            if (data.categories) pending.categories = [];
+            if (data.tags) pending.tags = [];
+            const errors = this.postTypeResolver.validatePayload(pending, args, postType.slug);
+            if (errors.length > 0) {
+              throw new BuddyClawError(`Invalid ${postType.slug} payload: ${errors.join('; ')}`, { code: 'VALIDATION_FAILED' });
+            }
+
+            taxonomy = await this.applyTaxonomies(payload, data, authHeader);
+            featuredImage = await this.applyFeaturedImage(payload, data, authHeader);
+            seoPlan = await this.prepareSeo(payload, data, authHeader);
+          }
+          break;
+
+        case 'message':
+          {
+            const messagesPath = await this.getProbedEndpoint(data, 'messages', authHeader);
+            endpoint = `${site_base_url}/wp-json/${messagesPath}`;
+            payload = await this.buildMessagePayload(data, finalContent, authHeader);
+          }
+          break;
+
+        case 'forum_reply':
+          {
+            const repliesPath = await this.getProbedEndpoint(data, 'forum_replies', authHeader);
+            endpoint = `${site_base_url}/wp-json/${repliesPath}`;
+            payload = this.buildReplyPayload(data, finalContent, repliesPath);
+          }
+          break;
+
         case 'comment':
           endpoint = `${site_base_url}/wp-json/wp/v2/comments`;
-          payload = {
-            post: data.post_id,
-            content: finalContent,
-            status: status === 'publish' ? 'approved' : 'hold'
-          };
+          payload = await this.buildCommentPayload(data, finalContent, authHeader);
           break;
           
         case 'post':
@@ -457,40 +795,870 @@ class EnhancedBuddyClaw {
             content: finalContent,
             status: status
           };
+          this.applyPostFields(payload, data, content_target);
+          this.applySchedule(payload, schedule, status);
+          taxonomy = await this.applyTaxonomies(payload, data, authHeader);
+          featuredImage = await this.applyFeaturedImage(payload, data, authHeader);
+          seoPlan = await this.prepareSeo(payload, data, authHeader);
           break;
       }
 
       console.log(`Publishing ${content_target} to ${endpoint} using ${authMethod}...`);
 
       // Make the API request
-      const response = await axios.post(endpoint, payload, {
-        headers: {
-          'Authorization': authHeader,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await this.http(site_base_url, authHeader).post(endpoint, payload);
 
+      // Only recipients of messages that were actually sent count towards the cap
+      if (content_target === 'message' && payload.recipients) {
+        this.messageRecipientsSent += payload.recipients.length;
+      }
+      this.recordPublished(data, response.data);
       console.log(`Successfully published ${content_target}!`);
       
-      return {
+      const result = {
         success: true,
         message: `${content_target} published successfully`,
         data: response.data,
         auth_method: authMethod,
         media_uploaded: mediaIds.length
       };
+      if (taxonomy) {
+        result.taxonomy = taxonomy;
+      }
+      if (featuredImage) {
+        result.featured_image = featuredImage;
+      }
+      if (seoPlan) {
+        result.seo = await this.seoManager.finish(seoPlan, site_base_url, response.data.id, response.data, authHeader);
+      }
+      if (payload.status === 'future') {
+        result.scheduled = true;
+      }
+      if (content_target === 'comment') {
+        result.comment = {
+          id: response.data.id,
+          link: response.data.link || null,
+          status: response.data.status,
+          awaiting_moderation: response.data.status !== 'approved'
+        };
+      }
+      return result;
 
     } catch (error) {
       console.error(`Failed to publish ${content_target}:`, error.message);
       
+      return BuddyClawError.from(error).toResult({ auth_method: authMethod });
+    }
+  }
+
+  /**
+   * Update, trash or delete an existing item using the REST verb its target expects
+   */
+  async modifyContent(data, operation, authHeader, authMethod) {
+    const { content_target = 'post' } = data;
+    if (operation === 'trash' && content_target === 'activity') {
+      throw new BuddyClawError('Activity items cannot be trashed; use operation "delete" instead', { code: 'VALIDATION_FAILED' });
+    }
+    const target = await this.resolveItemEndpoint(data, operation, authHeader);
+
+    let method = 'delete';
+    let payload;
+    let params;
+    let featuredImage = null;
+    let seoPlan = null;
+
+    if (operation === 'update') {
+      payload = this.buildUpdatePayload(data);
+      if (content_target === 'custom_post_type') {
+        const args = await this.postTypeResolver.getCreateArgs(target.collection, authHeader);
+        const errors = this.postTypeResolver.validatePayload(payload, args, data.post_type)
+          .filter(error => !error.includes('is required'));
+        if (errors.length > 0) {
+          throw new BuddyClawError(`Invalid ${data.post_type} payload: ${errors.join('; ')}`, { code: 'VALIDATION_FAILED' });
+        }
+      }
+      if (POST_TARGETS.includes(content_target)) {
+        if (data.date || data.date_gmt) {
+          const schedule = await this.scheduler.resolvePublishDate(data, authHeader);
+          this.applySchedule(payload, schedule, data.status);
+        }
+        await this.applyTaxonomies(payload, data, authHeader);
+        featuredImage = await this.applyFeaturedImage(payload, data, authHeader);
+        seoPlan = await this.prepareSeo(payload, data, authHeader);
+      }
+      if (Object.keys(payload).length === 0 && !seoPlan) {
+        throw new BuddyClawError(`Nothing to update for ${content_target} ${target.id}; provide title, content or status`, { code: 'VALIDATION_FAILED' });
+      }
+      // WordPress core routes accept POST for edits; BuddyBoss/BuddyPress routes expect PATCH
+      method = ['activity', 'forum', 'forum_reply'].includes(content_target) && !target.collection.includes('/wp-json/wp/v2/') ? 'patch' : 'post';
+    } else if (operation === 'delete') {
+      params = { force: true };
+    }
+
+    console.log(`Running ${operation} on ${content_target} ${target.id} via ${method.toUpperCase()} ${target.endpoint}...`);
+
+    const response = await this.http(data.site_base_url, authHeader).request({
+      method,
+      url: target.endpoint,
+      data: payload,
+      params
+    });
+
+    if (operation !== 'update') {
+      this.ledger.forget(data.site_base_url, content_target, target.id);
+    }
+
+    const pastTense = { update: 'updated', trash: 'trashed', delete: 'deleted' }[operation];
+    console.log(`Successfully ${pastTense} ${content_target} ${target.id}!`);
+
+    const result = {
+      success: true,
+      message: `${content_target} ${pastTense} successfully`,
+      data: response.data,
+      operation,
+      auth_method: authMethod
+    };
+    if (featuredImage) {
+      result.featured_image = featuredImage;
+    }
+    if (seoPlan) {
+      result.seo = await this.seoManager.finish(seoPlan, data.site_base_url, target.id, response.data, authHeader);
+    }
+    return result;
+  }
+
+  /**
+   * Set date_gmt on a post, page or custom post type payload; future dates become status "future"
+   * Drafts and private posts keep their status and just get the date
+   */
+  applySchedule(payload, schedule, status) {
+    if (!schedule) {
+      return;
+    }
+    payload.date_gmt = schedule.date_gmt;
+    if (schedule.isFuture && (status === 'publish' || status === 'future')) {
+      payload.status = 'future';
+    }
+  }
+
+  /**
+   * Detect the SEO plugin for data.seo; Yoast meta is added to the payload here,
+   * Rank Math meta is written by SeoManager.finish once the post exists
+   */
+  async prepareSeo(payload, data, authHeader) {
+    if (!data.seo) {
+      return null;
+    }
+
+    const plan = await this.seoManager.prepare(data.site_base_url, data.seo, authHeader);
+    if (plan.plugin === 'yoast' && Object.keys(plan.meta).length > 0) {
+      payload.meta = { ...(payload.meta || {}), ...plan.meta };
+    }
+    return plan;
+  }
+
+  /**
+   * Resolve tag/category names to term IDs and attach them to a post or page payload
+   * Returns a summary of created and unresolved terms, or null if none were given
+   */
+  async applyTaxonomies(payload, data, authHeader) {
+    const summary = {};
+    const create = data.create_missing_terms !== false;
+
+    for (const taxonomy of ['categories', 'tags']) {
+      const terms = data[taxonomy];
+      if (!terms || (Array.isArray(terms) && terms.length === 0)) {
+        continue;
+      }
+
+      const resolved = await this.taxonomyResolver.resolveTerms(data.site_base_url, taxonomy, terms, authHeader, { create });
+      if (resolved.ids.length > 0) {
+        payload[taxonomy] = resolved.ids;
+      }
+      if (resolved.unresolved.length > 0) {
+        console.warn(`Could not resolve ${taxonomy}: ${resolved.unresolved.join(', ')}`);
+      }
+      summary[taxonomy] = resolved;
+    }
+
+    return Object.keys(summary).length > 0 ? summary : null;
+  }
+
+  /**
+   * Upload featured_image_url (remote URL or local path) and set featured_media on the payload
+   * Failures are returned for the caller to report; the post itself is still published
+   */
+  async applyFeaturedImage(payload, data, authHeader) {
+    const { site_base_url, featured_image_url, featured_image_alt = '' } = data;
+    if (!featured_image_url) {
+      return null;
+    }
+
+    let tempDir = null;
+    try {
+      let filePath;
+      if (/^https?:\/\//i.test(featured_image_url)) {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'buddyclaw-'));
+        filePath = await this.downloadImage(featured_image_url, tempDir);
+      } else {
+        filePath = featured_image_url.replace(/^file:\/\//i, '');
+      }
+
+      const uploadResult = await this.uploadMedia({ file_path: filePath, alt_text: featured_image_alt }, site_base_url, authHeader);
+      if (!uploadResult.success) {
+        throw BuddyClawError.fromResult(uploadResult);
+      }
+
+      // Some setups drop multipart fields, so set the alt text explicitly if it didn't stick
+      if (featured_image_alt && uploadResult.alt_text !== featured_image_alt) {
+        await this.http(site_base_url, authHeader).post(`/wp-json/wp/v2/media/${uploadResult.mediaId}`, { alt_text: featured_image_alt });
+      }
+
+      payload.featured_media = uploadResult.mediaId;
+      return {
+        success: true,
+        media_id: uploadResult.mediaId,
+        url: uploadResult.url,
+        alt_text: featured_image_alt
+      };
+
+    } catch (error) {
+      console.warn(`Featured image failed: ${error.message}`);
       return {
         success: false,
+        source: featured_image_url,
         error: error.message,
-        details: error.response?.data || null,
-        status: error.response?.status || null,
+        code: BuddyClawError.classify(error)
+      };
+    } finally {
+      if (tempDir) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  async downloadImage(url, tempDir) {
+    const response = await new HttpClient().get(url, { responseType: 'stream' });
+
+    let filename = path.basename(new URL(url).pathname) || 'image';
+    if (!path.extname(filename)) {
+      // Keep an extension so WordPress can infer the MIME type
+      const type = String(response.headers['content-type'] || '').split(';')[0];
+      const ext = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/gif': '.gif', 'image/webp': '.webp' }[type] || '.jpg';
+      filename += ext;
+    }
+
+    const filePath = path.join(tempDir, filename);
+    await pipeline(response.data, fs.createWriteStream(filePath));
+    return filePath;
+  }
+
+  /**
+   * Shared HTTP client for a site; authHeader is sent with requests to that site only
+   */
+  http(siteUrl, authHeader) {
+    return HttpClient.forSite(siteUrl, { authHeader });
+  }
+
+  /**
+   * Pick the REST path for a BuddyBoss/BuddyPress/bbPress target from the site's probe profile
+   */
+  async getProbedEndpoint(data, target, authHeader, params = {}) {
+    const profile = await this.siteProbe.probe(data.site_base_url, authHeader);
+    const endpoint = this.siteProbe.getEndpoint(profile, target, params);
+    if (!endpoint) {
+      const needs = target.startsWith('forum_')
+        ? `BuddyBoss or bbPress ${target.slice(6)} exposed to the REST API`
+        : 'BuddyBoss or BuddyPress';
+      throw new BuddyClawError(`${data.site_base_url} has no ${target.replace('_', ' ')} endpoint (needs ${needs}); run "probe --refresh" if the site changed`, { code: 'ENDPOINT_MISSING' });
+    }
+    return endpoint;
+  }
+
+  /**
+   * Activity route for an explicit activity_api_provider, or the one the site probe found
+   */
+  async getActivityEndpoint(data, authHeader) {
+    const provider = data.activity_api_provider;
+    if (provider && provider !== 'auto') {
+      if (!ACTIVITY_PROVIDERS.includes(provider)) {
+        throw new BuddyClawError(`Invalid activity_api_provider "${provider}" (use ${ACTIVITY_PROVIDERS.join(', ')} or auto)`, { code: 'VALIDATION_FAILED' });
+      }
+      return `${provider}/v1/activity`;
+    }
+    return this.getProbedEndpoint(data, 'activity', authHeader);
+  }
+
+  /**
+   * Build an activity update; group_id (or activity_context.scope 'group') posts into the group's stream
+   */
+  async buildActivityPayload(data, content, activityPath, authHeader) {
+    const context = data.activity_context || {};
+    const includeTitle = data.title && data.include_title !== false;
+    const payload = {
+      content: includeTitle ? `${data.title}\n\n${content}` : content,
+      component: 'activity',
+      type: 'activity_update'
+    };
+
+    const privacy = data.privacy ?? context.privacy;
+    if (privacy) {
+      if (activityPath.startsWith('buddypress/')) {
+        throw new BuddyClawError('Activity privacy is only supported by BuddyBoss', { code: 'VALIDATION_FAILED' });
+      }
+      if (!ACTIVITY_PRIVACY.includes(privacy)) {
+        throw new BuddyClawError(`Invalid activity privacy "${privacy}" (use ${ACTIVITY_PRIVACY.join(', ')})`, { code: 'VALIDATION_FAILED' });
+      }
+      payload.privacy = privacy;
+    }
+
+    const group = data.group_id ?? (context.scope === 'group' ? context.group_id : null);
+    if (group) {
+      payload.component = 'groups';
+      payload.primary_item_id = await this.resolveGroupId(data, group, authHeader);
+    }
+
+    if (context.bp_media_ids) {
+      payload.bp_media_ids = context.bp_media_ids;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Build a reply to a forum topic, optionally threaded under another reply (reply_to)
+   * BuddyBoss takes topic_id/reply_to; bbPress replies exposed under wp/v2 hang off the topic as parent
+   */
+  buildReplyPayload(data, content, repliesPath) {
+    if (repliesPath.startsWith('buddyboss/')) {
+      const payload = {
+        topic_id: data.topic_id,
+        content
+      };
+      if (data.reply_to) payload.reply_to = data.reply_to;
+      if (data.forum_id) payload.forum_id = data.forum_id;
+      if (data.title) payload.title = data.title;
+      return payload;
+    }
+
+    if (data.reply_to) {
+      throw new BuddyClawError('reply_to needs the BuddyBoss reply API; this site only exposes bbPress replies as a post type', { code: 'VALIDATION_FAILED' });
+    }
+    return {
+      title: data.title || `Reply To: topic ${data.topic_id}`,
+      content,
+      status: data.status || 'publish',
+      parent: data.topic_id
+    };
+  }
+
+  /**
+   * Build a comment, threaded under parent when given
+   * Only moderators may set the status; everyone else gets the site's discussion settings
+   */
+  async buildCommentPayload(data, content, authHeader) {
+    const payload = {
+      post: data.post_id,
+      content
+    };
+    const errors = [];
+
+    if (data.parent !== undefined && data.parent !== null) {
+      const parent = Number(data.parent);
+      if (!Number.isInteger(parent) || parent < 0) {
+        errors.push('"parent" must be a comment ID');
+      } else {
+        payload.parent = parent;
+      }
+    }
+    for (const field of ['author_name', 'author_email', 'author_url']) {
+      if (data[field]) payload[field] = String(data[field]);
+    }
+    if (payload.author_email && !/^[^\s@]+@[^\s@]+$/.test(payload.author_email)) {
+      errors.push(`"author_email" is not an email address: ${payload.author_email}`);
+    }
+    if (data.meta !== undefined) {
+      if (!data.meta || typeof data.meta !== 'object' || Array.isArray(data.meta)) {
+        errors.push('"meta" must be an object');
+      } else {
+        payload.meta = data.meta;
+      }
+    }
+    if (errors.length > 0) {
+      throw new BuddyClawError(`Invalid comment fields: ${errors.join('; ')}`, { code: 'VALIDATION_FAILED' });
+    }
+
+    if (authHeader && await this.canModerateComments(data.site_base_url, authHeader)) {
+      const status = data.status === 'publish' ? 'approved' : (data.status || 'hold');
+      payload.status = COMMENT_STATUSES.includes(status) ? status : 'hold';
+    }
+
+    return payload;
+  }
+
+  /**
+   * Whether the authenticated account has moderate_comments (cached per site and account)
+   */
+  async canModerateComments(siteUrl, authHeader) {
+    const cacheKey = `${siteUrl}|${authHeader}`;
+    if (this.moderatorCache.has(cacheKey)) {
+      return this.moderatorCache.get(cacheKey);
+    }
+
+    let canModerate = false;
+    try {
+      const response = await this.http(siteUrl, authHeader).get('/wp-json/wp/v2/users/me', {
+        params: { context: 'edit' }
+      });
+      canModerate = !!response.data?.capabilities?.moderate_comments;
+    } catch (error) {
+      console.warn(`Could not read comment capabilities, leaving status to the site: ${error.message}`);
+    }
+
+    this.moderatorCache.set(cacheKey, canModerate);
+    return canModerate;
+  }
+
+  /**
+   * Build a private message: a new thread to recipients, or a reply when thread_id is given
+   * Recipients may be user IDs or usernames; the per-run recipient cap is enforced here
+   */
+  async buildMessagePayload(data, content, authHeader) {
+    const payload = { message: content };
+
+    if (data.thread_id) {
+      payload.id = data.thread_id;
+    } else {
+      const recipients = this.normalizeRecipients(data.recipients);
+      const limit = data.max_recipients || MESSAGE_RECIPIENT_LIMIT;
+      if (this.messageRecipientsSent + recipients.length > limit) {
+        throw new BuddyClawError(`Message recipient cap reached: ${this.messageRecipientsSent} sent this run, ${recipients.length} more requested, limit ${limit} (raise max_recipients to allow more)`, { code: 'VALIDATION_FAILED' });
+      }
+
+      payload.subject = data.subject || data.title;
+      payload.recipients = [];
+      for (const recipient of recipients) {
+        payload.recipients.push(await this.resolveMemberId(data, recipient, authHeader));
+      }
+    }
+
+    return payload;
+  }
+
+  /**
+   * Accept recipients as an array or comma-separated string of IDs and @usernames
+   */
+  normalizeRecipients(recipients) {
+    const list = Array.isArray(recipients) ? recipients : String(recipients || '').split(',');
+    return [...new Set(list.map(recipient => String(recipient).trim().replace(/^@/, '')).filter(Boolean))];
+  }
+
+  /**
+   * Resolve a member ID or username to the numeric user ID the messages route expects
+   */
+  async resolveMemberId(data, member, authHeader) {
+    if (/^\d+$/.test(String(member))) {
+      return parseInt(member, 10);
+    }
+
+    const membersPath = await this.getProbedEndpoint(data, 'members', authHeader);
+    const response = await this.http(data.site_base_url, authHeader).get(`/wp-json/${membersPath}`, {
+      params: { search: member, per_page: 20 }
+    });
+
+    const wanted = String(member).toLowerCase();
+    const match = (response.data || []).find(item =>
+      [item.user_login, item.mention_name, item.name].some(value => String(value || '').toLowerCase() === wanted));
+    if (!match) {
+      throw new BuddyClawError(`Member "${member}" not found on ${data.site_base_url}`, { code: 'NOT_FOUND' });
+    }
+    return match.id;
+  }
+
+  /**
+   * List message threads (operation 'list', box: inbox/sentbox/starred) or read one (operation 'get')
+   */
+  async readMessages(data, operation, authHeader, authMethod) {
+    const messagesPath = await this.getProbedEndpoint(data, 'messages', authHeader);
+    const collection = `/wp-json/${messagesPath}`;
+    const client = this.http(data.site_base_url, authHeader);
+
+    if (operation === 'get') {
+      if (!data.thread_id) {
+        throw new BuddyClawError('Missing required thread_id to get message', { code: 'VALIDATION_FAILED' });
+      }
+      const response = await client.get(`${collection}/${encodeURIComponent(String(data.thread_id))}`);
+      const thread = Array.isArray(response.data) ? response.data[0] : response.data;
+      return {
+        success: true,
+        message: `Message thread ${data.thread_id}`,
+        data: {
+          ...this.summarizeThread(thread),
+          messages: (thread.messages || []).map(message => ({
+            id: message.id,
+            sender_id: message.sender_id,
+            date: message.date_sent || message.date,
+            message: this.renderedText(message.message)
+          }))
+        },
+        auth_method: authMethod
+      };
+    }
+
+    const response = await client.get(collection, {
+      params: {
+        box: data.box || 'inbox',
+        page: data.page || 1,
+        per_page: data.per_page || data.count || 10,
+        ...(data.search ? { search_terms: data.search } : {})
+      }
+    });
+    return {
+      success: true,
+      message: `${(response.data || []).length} message threads`,
+      data: (response.data || []).map(thread => this.summarizeThread(thread)),
+      total: parseInt(response.headers?.['x-wp-total'], 10) || null,
+      auth_method: authMethod
+    };
+  }
+
+  summarizeThread(thread) {
+    return {
+      id: thread.id,
+      subject: this.renderedText(thread.subject),
+      excerpt: this.renderedText(thread.excerpt),
+      last_sender_id: thread.last_sender_id,
+      unread_count: thread.unread_count || 0,
+      date: thread.date
+    };
+  }
+
+  renderedText(field) {
+    const value = field && typeof field === 'object' ? (field.rendered ?? field.raw) : field;
+    return this.blockSerializer.decodeEntities(String(value || '').replace(/<[^>]+>/g, '')).trim();
+  }
+
+  /**
+   * Resolve a group ID or slug to the numeric ID activity routes expect
+   */
+  async resolveGroupId(data, group, authHeader) {
+    if (/^\d+$/.test(String(group))) {
+      return parseInt(group, 10);
+    }
+
+    const groupsPath = await this.getProbedEndpoint(data, 'groups', authHeader);
+    const response = await this.http(data.site_base_url, authHeader).get(`/wp-json/${groupsPath}`, {
+      params: { search: group, per_page: 100 }
+    });
+
+    const wanted = String(group).toLowerCase();
+    const match = (response.data || []).find(item =>
+      String(item.slug).toLowerCase() === wanted || String(item.name).toLowerCase() === wanted);
+    if (!match) {
+      throw new BuddyClawError(`Group "${group}" not found on ${data.site_base_url}`, { code: 'NOT_FOUND' });
+    }
+    return match.id;
+  }
+
+  /**
+   * Remember a newly created item in the publish ledger
+   */
+  recordPublished(data, responseData) {
+    // BuddyPress/BuddyBoss activity routes respond with an array
+    const item = Array.isArray(responseData) ? responseData[0] : responseData;
+    if (item && item.id) {
+      this.ledger.record(data, item);
+    }
+  }
+
+  /**
+   * Resolve the single-item endpoint and ID field for a content target
+   */
+  async resolveItemEndpoint(data, operation, authHeader) {
+    const { site_base_url, content_target = 'post' } = data;
+
+    if (content_target === 'message' && operation !== 'delete') {
+      throw new BuddyClawError('Message threads can only be deleted, not updated or trashed', { code: 'VALIDATION_FAILED' });
+    }
+
+    const idField = content_target === 'forum' && data.topic_id
+      ? 'topic_id'
+      : ID_FIELDS[content_target] || 'post_id';
+    const id = data[idField];
+    if (!id) {
+      throw new BuddyClawError(`Missing required ${idField} to ${operation} ${content_target}`, { code: 'VALIDATION_FAILED' });
+    }
+    // Looked up after the ID check so a missing ID fails without probing the site
+    const collection = await this.resolveCollection(data, authHeader);
+
+    return {
+      id,
+      idField,
+      collection: `${site_base_url}/wp-json/${collection}`,
+      endpoint: `${site_base_url}/wp-json/${collection}/${encodeURIComponent(String(id))}`
+    };
+  }
+
+  /**
+   * REST collection path (relative to /wp-json) for a content target
+   */
+  async resolveCollection(data, authHeader) {
+    switch (data.content_target || 'post') {
+      case 'page':
+        return 'wp/v2/pages';
+      case 'comment':
+        return 'wp/v2/comments';
+      case 'media':
+        return 'wp/v2/media';
+      case 'activity':
+        return this.getActivityEndpoint(data, authHeader);
+      case 'forum':
+        return this.getProbedEndpoint(data, 'forum_topics', authHeader);
+      case 'forum_reply':
+        return this.getProbedEndpoint(data, 'forum_replies', authHeader);
+      case 'message':
+        return this.getProbedEndpoint(data, 'messages', authHeader);
+      case 'custom_post_type':
+        {
+          const postType = await this.postTypeResolver.getPostType(data.site_base_url, data.post_type, authHeader);
+          return `${postType.namespace}/${postType.rest_base}`;
+        }
+      case 'post':
+      default:
+        return 'wp/v2/posts';
+    }
+  }
+
+  /**
+   * List, search or get existing content
+   * Lists are paginated with page/per_page and report X-WP-Total / X-WP-TotalPages
+   */
+  async readContent(data, operation, authHeader, authMethod) {
+    const { site_base_url, content_target = 'post' } = data;
+    const client = this.http(site_base_url, authHeader);
+
+    if (operation === 'get') {
+      const target = await this.resolveItemEndpoint(data, operation, authHeader);
+      const response = await client.get(target.endpoint);
+      const item = Array.isArray(response.data) ? response.data[0] : response.data;
+      return {
+        success: true,
+        message: `${content_target} ${target.id}`,
+        data: {
+          ...this.summarizeItem(item),
+          content: item.content?.rendered ?? item.content?.raw ?? (typeof item.content === 'string' ? item.content : null)
+        },
         auth_method: authMethod
       };
     }
+
+    const collection = await this.resolveCollection(data, authHeader);
+    const params = this.buildListParams(data);
+    const response = await client.get(`/wp-json/${collection}`, { params });
+    const items = (Array.isArray(response.data) ? response.data : []).map(item => this.summarizeItem(item));
+    const total = parseInt(response.headers?.['x-wp-total'], 10);
+    const totalPages = parseInt(response.headers?.['x-wp-totalpages'], 10);
+
+    return {
+      success: true,
+      message: `${items.length} ${content_target} items${Number.isNaN(total) ? '' : ` of ${total}`}`,
+      data: items,
+      pagination: {
+        page: params.page,
+        per_page: params.per_page,
+        total: Number.isNaN(total) ? null : total,
+        total_pages: Number.isNaN(totalPages) ? null : totalPages
+      },
+      auth_method: authMethod
+    };
+  }
+
+  /**
+   * Query parameters for a list/search request; data.filters passes anything else through as-is
+   */
+  buildListParams(data) {
+    const { content_target = 'post' } = data;
+    const params = {
+      ...(data.filters || {}),
+      page: parseInt(data.page, 10) || 1,
+      per_page: Math.min(parseInt(data.per_page || data.count, 10) || 10, MAX_PER_PAGE)
+    };
+
+    if (data.search) params.search = data.search;
+    for (const field of ['author', 'categories', 'tags', 'after', 'before', 'orderby', 'order']) {
+      if (data[field] !== undefined) params[field] = data[field];
+    }
+
+    if (data.status) {
+      if (content_target === 'comment') {
+        params.status = data.status === 'publish' ? 'approve' : data.status;
+      } else {
+        params.status = data.status;
+      }
+      // Drafts, pending and private items are only listed in the edit context
+      if (!['publish', 'approve', 'approved'].includes(data.status)) {
+        params.context = 'edit';
+      }
+    }
+
+    switch (content_target) {
+      case 'comment':
+        if (data.post_id) params.post = data.post_id;
+        break;
+      case 'activity':
+        if (data.group_id) {
+          params.component = 'groups';
+          params.primary_id = data.group_id;
+        }
+        break;
+      case 'forum':
+        if (data.forum_id) params.parent = data.forum_id;
+        break;
+      case 'forum_reply':
+        if (data.topic_id) params.parent = data.topic_id;
+        break;
+    }
+
+    return params;
+  }
+
+  /**
+   * Compact view of a post, page, comment, activity, topic, reply or media item
+   */
+  summarizeItem(item) {
+    const excerpt = this.renderedText(item.excerpt) || this.renderedText(item.content);
+    const summary = {
+      id: item.id,
+      type: item.type || null,
+      status: item.status || null,
+      title: this.renderedText(item.title) || null,
+      excerpt: excerpt.length > 200 ? `${excerpt.substring(0, 197)}...` : excerpt,
+      date: item.date_gmt || item.date || null,
+      modified: item.modified_gmt || item.modified || null,
+      link: item.link || null,
+      author: item.author ?? item.user_id ?? item.author_name ?? null
+    };
+    if (item.source_url) {
+      summary.source_url = item.source_url;
+      summary.mime_type = item.mime_type || null;
+    }
+    return summary;
+  }
+
+  /**
+   * Build a partial payload containing only the fields supplied for an update
+   */
+  buildUpdatePayload(data) {
+    const { content_target = 'post', title, content, status } = data;
+    const payload = {};
+
+    switch (content_target) {
+      case 'comment':
+        if (content) payload.content = content;
+        if (status) payload.status = status === 'publish' ? 'approved' : status;
+        break;
+
+      case 'activity':
+        if (content) payload.content = title && data.include_title !== false ? `${title}\n\n${content}` : content;
+        break;
+
+      case 'custom_post_type':
+        if (title) payload.title = title;
+        if (content) payload.content = content;
+        if (status) payload.status = status;
+        Object.assign(payload, data.fields || {});
+        break;
+
+      default:
+        if (title) payload.title = title;
+        if (content) payload.content = content;
+        if (status) payload.status = status;
+        break;
+    }
+
+    if (POST_TARGETS.includes(content_target)) {
+      this.applyPostFields(payload, data, content_target);
+    }
+
+    return payload;
+  }
+
+  /**
+   * Copy standard post fields (slug, excerpt, author, sticky, ...) onto a post, page or
+   * custom post type payload, rejecting values WordPress would not accept
+   */
+  applyPostFields(payload, data, contentTarget) {
+    const errors = [];
+    const fields = { ...data };
+
+    // poster.js callers send author_id
+    if (fields.author === undefined && fields.author_id !== undefined) {
+      fields.author = fields.author_id;
+    }
+
+    if (payload.status && contentTarget !== 'custom_post_type' && !POST_STATUSES.includes(payload.status)) {
+      errors.push(`Invalid status "${payload.status}" (allowed: ${POST_STATUSES.join(', ')})`);
+    }
+
+    for (const [field, rule] of Object.entries(POST_FIELD_RULES)) {
+      let value = fields[field];
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      if (rule.targets && !rule.targets.includes(contentTarget)) {
+        errors.push(`"${field}" is not supported for ${contentTarget} targets (only ${rule.targets.join(', ')})`);
+        continue;
+      }
+
+      switch (rule.type) {
+        case 'integer':
+          value = Number(value);
+          if (!Number.isInteger(value) || (rule.min !== undefined && value < rule.min)) {
+            errors.push(`"${field}" must be an integer${rule.min !== undefined ? ` >= ${rule.min}` : ''}`);
+            continue;
+          }
+          break;
+
+        case 'boolean':
+          if (value === 'true' || value === 'false') {
+            value = value === 'true';
+          }
+          if (typeof value !== 'boolean') {
+            errors.push(`"${field}" must be true or false`);
+            continue;
+          }
+          break;
+
+        case 'object':
+          if (typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`"${field}" must be an object of key/value pairs`);
+            continue;
+          }
+          break;
+
+        default:
+          if (typeof value === 'number') {
+            value = String(value);
+          }
+          if (typeof value !== 'string') {
+            errors.push(`"${field}" must be a string`);
+            continue;
+          }
+          break;
+      }
+
+      if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(`Invalid ${field} "${value}" (allowed: ${rule.enum.join(', ')})`);
+        continue;
+      }
+
+      payload[field] = value;
+    }
+
+    if (errors.length > 0) {
+      throw new BuddyClawError(`Invalid post fields: ${errors.join('; ')}`, { code: 'VALIDATION_FAILED' });
+    }
   }
 
   async uploadMedia(mediaItem, site_base_url, authHeader) {
@@ -498,7 +1666,7 @@ class EnhancedBuddyClaw {
       const { file_path, alt_text = '', caption = '' } = mediaItem;
       
       if (!fs.existsSync(file_path)) {
-        throw new Error(`Media file not found: ${file_path}`);
+        throw new BuddyClawError(`Media file not found: ${file_path}`, { code: 'NOT_FOUND' });
       }
 
       const form = new FormData();
@@ -506,69 +1674,156 @@ class EnhancedBuddyClaw {
       form.append('alt_text', alt_text);
       form.append('caption', caption);
 
-      const response = await axios.post(
-        `${site_base_url}/wp-json/wp/v2/media`,
-        form,
-        {
-          headers: {
-            ...form.getHeaders(),
-            'Authorization': authHeader
-          }
-        }
-      );
+      const response = await this.http(site_base_url, authHeader).post('/wp-json/wp/v2/media', form, {
+        headers: form.getHeaders(),
+        timeout: UPLOAD_TIMEOUT
+      });
 
       return {
         success: true,
         mediaId: response.data.id,
-        url: response.data.source_url
+        url: response.data.source_url,
+        alt_text: response.data.alt_text || alt_text,
+        caption,
+        mime_type: response.data.mime_type || '',
+        media_type: response.data.media_type || '',
+        width: response.data.media_details?.width || null,
+        height: response.data.media_details?.height || null,
+        filename: path.basename(file_path)
       };
 
     } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
+      return BuddyClawError.from(error).toResult();
     }
   }
 
-  insertMediaIntoContent(content, mediaIds, site_base_url) {
-    let mediaHtml = '';
-    
-    for (const mediaId of mediaIds) {
-      mediaHtml += `\n<figure><img src="${site_base_url}/wp-content/uploads/${mediaId}" alt="Uploaded media" /></figure>\n`;
+  /**
+   * Embed uploaded media as Gutenberg blocks
+   * {{media:N}} (1-based position in the media array) places an item inline;
+   * items without a placeholder are appended after the content
+   */
+  insertMediaIntoContent(content, uploads) {
+    const placed = new Set();
+
+    let result = String(content || '').replace(/\{\{media:(\d+)\}\}/g, (match, position) => {
+      const index = parseInt(position, 10) - 1;
+      const upload = uploads[index];
+      if (!upload) {
+        return '';
+      }
+      placed.add(index);
+      return `\n\n${this.buildMediaBlock(upload)}\n\n`;
+    });
+
+    uploads.forEach((upload, index) => {
+      if (upload && !placed.has(index)) {
+        result += `\n\n${this.buildMediaBlock(upload)}`;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Build the block markup matching an uploaded attachment's type
+   */
+  buildMediaBlock(upload) {
+    const { mediaId, url, alt_text = '', caption = '', mime_type = '', media_type = '', width, height, filename } = upload;
+    const escapeAttr = (value) => this.blockSerializer.escapeAttr(value);
+    const figcaption = caption ? `<figcaption class="wp-element-caption">${this.blockSerializer.escapeHtml(caption)}</figcaption>` : '';
+
+    if (mime_type.startsWith('image/') || (!mime_type && media_type === 'image')) {
+      const attrs = { id: mediaId };
+      let sizeAttrs = '';
+      if (width && height) {
+        attrs.width = width;
+        attrs.height = height;
+        sizeAttrs = ` width="${width}" height="${height}"`;
+      }
+      attrs.sizeSlug = 'full';
+      attrs.linkDestination = 'none';
+      return `<!-- wp:image ${JSON.stringify(attrs)} -->\n` +
+        `<figure class="wp-block-image size-full"><img src="${escapeAttr(url)}" alt="${escapeAttr(alt_text)}" class="wp-image-${mediaId}"${sizeAttrs}/>${figcaption}</figure>\n` +
+        `<!-- /wp:image -->`;
+    }
+
+    if (mime_type.startsWith('video/')) {
+      return `<!-- wp:video ${JSON.stringify({ id: mediaId })} -->\n` +
+        `<figure class="wp-block-video"><video controls src="${escapeAttr(url)}"></video>${figcaption}</figure>\n` +
+        `<!-- /wp:video -->`;
     }
 
-    return content + mediaHtml;
+    if (mime_type.startsWith('audio/')) {
+      return `<!-- wp:audio ${JSON.stringify({ id: mediaId })} -->\n` +
+        `<figure class="wp-block-audio"><audio controls src="${escapeAttr(url)}"></audio>${figcaption}</figure>\n` +
+        `<!-- /wp:audio -->`;
+    }
+
+    // PDFs and any other attachment become a file download block
+    const label = caption || filename || path.basename(new URL(url).pathname);
+    return `<!-- wp:file ${JSON.stringify({ id: mediaId, href: url })} -->\n` +
+      `<div class="wp-block-file"><a href="${escapeAttr(url)}">${this.blockSerializer.escapeHtml(label)}</a><a href="${escapeAttr(url)}" class="wp-block-file__button wp-element-button" download>Download</a></div>\n` +
+      `<!-- /wp:file -->`;
   }
 }
 
 // Main execution
 if (require.main === module) {
-  let inputData = '';
-  
-  process.stdin.setEncoding('utf8');
-  
-  process.stdin.on('data', (chunk) => {
-    inputData += chunk;
-  });
-  
-  process.stdin.on('end', async () => {
+  const args = process.argv.slice(2);
+
+  if (args[0] === '--validate') {
+    // --validate <payload.json>: check a payload against its schema without sending it
+    (async () => {
+      if (!args[1]) {
+        throw new Error('Usage: node enhanced-poster.js --validate <payload.json>');
+      }
+      const result = await new EnhancedBuddyClaw().validateInput(fs.readFileSync(args[1], 'utf8'));
+      console.log(JSON.stringify(result, null, 2));
+      process.exit(result.valid ? 0 : 1);
+    })().catch(error => {
+      console.log(JSON.stringify({ success: false, valid: false, error: error.message }));
+      process.exit(1);
+    });
+  } else if (args[0] === '--schema') {
+    // --schema [content_target] [auth_method]: print the JSON Schema a payload is checked against
     try {
-      const buddyClaw = new EnhancedBuddyClaw();
-      const result = await buddyClaw.processInput(inputData.trim());
-      
-      console.log(JSON.stringify(result));
-      process.exit(result.success ? 0 : 1);
-      
+      console.log(JSON.stringify(new PayloadSchema().getSchema(args[1] || 'post', args[2] || 'app_password'), null, 2));
+      process.exit(0);
     } catch (error) {
-      console.log(JSON.stringify({
-        success: false,
-        error: error.message,
-        details: error.stack
-      }));
+      console.log(JSON.stringify({ success: false, error: error.message }));
       process.exit(1);
     }
-  });
+  } else {
+    let inputData = '';
+
+    process.stdin.setEncoding('utf8');
+
+    process.stdin.on('data', (chunk) => {
+      inputData += chunk;
+    });
+
+    process.stdin.on('end', async () => {
+      try {
+        // CA bundles, pins, insecure_tls and proxies for the sites in config.yaml
+        const ConfigManager = require('./config-manager');
+        new ConfigManager().loadNetworkSettings();
+
+        const buddyClaw = new EnhancedBuddyClaw();
+        const result = await buddyClaw.processInput(inputData.trim());
+
+        console.log(JSON.stringify(result));
+        process.exit(result.success ? 0 : 1);
+
+      } catch (error) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          details: error.stack
+        }));
+        process.exit(1);
+      }
+    });
+  }
 }
 
 module.exports = EnhancedBuddyClaw;
@@ -1,7 +1,9 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const CaptchaSolver = require('./captcha-solver');
+const SiteProbe = require('./site-probe');
+const BuddyClawError = require('./buddyclaw-error');
+const HttpClient = require('./http-client');
 
 /**
  * BuddyClaw Group/Forum Joiner
@@ -16,6 +18,7 @@ class GroupJoiner {
     this.credentials = options.credentials || {};
     this.maxRetries = options.maxRetries || 3;
     this.retryDelay = options.retryDelay || 2000;
+    this.siteProbe = options.siteProbe || new SiteProbe();
   }
 
   /**
@@ -55,7 +58,7 @@ class GroupJoiner {
         const captchaResult = await this.solveCaptcha(captchaInfo);
         
         if (!captchaResult.success) {
-          throw new Error(`CAPTCHA solving failed: ${captchaResult.error}`);
+          throw new BuddyClawError(`CAPTCHA solving failed: ${captchaResult.error}`, { code: 'CAPTCHA_REQUIRED' });
         }
         
         options.captchaSolution = captchaResult.solution;
@@ -72,17 +75,15 @@ class GroupJoiner {
           data: { groupId, status: 'joined', ...joinResult.data }
         };
       } else {
-        throw new Error(joinResult.error || 'Failed to join group');
+        throw BuddyClawError.fromResult({ error: 'Failed to join group', ...joinResult });
       }
 
     } catch (error) {
       console.error('❌ Group joining failed:', error.message);
-      return {
-        success: false,
-        error: error.message,
+      return BuddyClawError.from(error).toResult({
         message: 'Failed to join group',
         data: { groupId }
-      };
+      });
     }
   }
 
@@ -93,9 +94,8 @@ class GroupJoiner {
     try {
       console.log(`🔍 Checking membership status for group: ${groupId}`);
       
-      const endpoint = `${this.baseUrl}/wp-json/buddypress/v1/groups/${groupId}/members`;
-      const response = await axios.get(endpoint, {
-        headers: this.getAuthHeaders(),
+      const endpoint = `${await this.getGroupsEndpoint()}/${groupId}/members`;
+      const response = await this.http().get(endpoint, {
         params: { user_id: 'me' }
       });
 
@@ -122,15 +122,13 @@ class GroupJoiner {
     try {
       console.log(`📋 Getting details for group: ${groupId}`);
       
-      const endpoint = `${this.baseUrl}/wp-json/buddypress/v1/groups/${groupId}`;
-      const response = await axios.get(endpoint, {
-        headers: this.getAuthHeaders()
-      });
+      const endpoint = `${await this.getGroupsEndpoint()}/${groupId}`;
+      const response = await this.http().get(endpoint);
 
       return response.data;
 
     } catch (error) {
-      throw new Error(`Failed to get group details: ${error.message}`);
+      throw BuddyClawError.from(error, 'Failed to get group details');
     }
   }
 
@@ -142,9 +140,7 @@ class GroupJoiner {
       console.log(`📄 Getting join page content for group: ${groupId}`);
       
       const endpoint = `${this.baseUrl}/groups/${groupId}/join`;
-      const response = await axios.get(endpoint, {
-        headers: { 'User-Agent': 'BuddyClaw/0.0.2' }
-      });
+      const response = await this.http().get(endpoint);
 
       return response.data;
 
@@ -230,10 +226,7 @@ class GroupJoiner {
       return await this.captchaSolver.solveCaptcha(captchaData, captchaInfo.type);
 
     } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
+      return new BuddyClawError(error.message, { code: 'CAPTCHA_REQUIRED' }).toResult();
     }
   }
 
@@ -252,7 +245,7 @@ class GroupJoiner {
       // Check BuddyPress version and API availability
       if (await this.hasRestApiSupport()) {
         // Use REST API if available
-        endpoint = `${this.baseUrl}/wp-json/buddypress/v1/groups/${groupId}/members`;
+        endpoint = `${await this.getGroupsEndpoint()}/${groupId}/members`;
         data = {
           user_id: 'me',
           action: 'join'
@@ -275,11 +268,10 @@ class GroupJoiner {
         }
       }
 
-      const response = await axios({
+      const response = await this.http().request({
         method: method,
         url: endpoint,
-        data: data,
-        headers: this.getAuthHeaders()
+        data: data
       });
 
       return {
@@ -300,11 +292,8 @@ class GroupJoiner {
         errorMessage = 'Invalid request - check group ID and permissions';
       }
 
-      return {
-        success: false,
-        error: errorMessage,
-        status: error.response?.status
-      };
+      // Keep the code, status and WordPress code behind the friendlier message
+      return new BuddyClawError(errorMessage, BuddyClawError.from(error)).toResult();
     }
   }
 
@@ -315,7 +304,7 @@ class GroupJoiner {
     try {
       console.log(`📨 Requesting membership for private group: ${groupId}`);
       
-      const endpoint = `${this.baseUrl}/wp-json/buddypress/v1/groups/${groupId}/membership-requests`;
+      const endpoint = `${await this.getGroupsEndpoint()}/${groupId}/membership-requests`;
       const data = {
         user_id: 'me',
         message: options.membershipMessage || 'Requesting membership via BuddyClaw'
@@ -325,9 +314,7 @@ class GroupJoiner {
         data.captcha_solution = options.captchaSolution;
       }
 
-      const response = await axios.post(endpoint, data, {
-        headers: this.getAuthHeaders()
-      });
+      const response = await this.http().post(endpoint, data);
 
       return {
         success: true,
@@ -336,11 +323,7 @@ class GroupJoiner {
       };
 
     } catch (error) {
-      return {
-        success: false,
-        error: `Membership request failed: ${error.message}`,
-        status: error.response?.status
-      };
+      return BuddyClawError.from(error, 'Membership request failed').toResult();
     }
   }
 
@@ -349,24 +332,32 @@ class GroupJoiner {
    */
   async hasRestApiSupport() {
     try {
-      const endpoint = `${this.baseUrl}/wp-json/buddypress/v1/`;
-      const response = await axios.get(endpoint, {
-        headers: this.getAuthHeaders()
-      });
-      
-      return response.status === 200;
+      const profile = await this.siteProbe.probe(this.baseUrl, HttpClient.authHeader(this.credentials));
+      return !!this.siteProbe.getEndpoint(profile, 'groups');
     } catch (error) {
       return false;
     }
   }
 
+  /**
+   * Groups collection URL (BuddyBoss or BuddyPress) from the site's probe profile
+   */
+  async getGroupsEndpoint() {
+    const profile = await this.siteProbe.probe(this.baseUrl, HttpClient.authHeader(this.credentials));
+    const groupsPath = this.siteProbe.getEndpoint(profile, 'groups');
+    if (!groupsPath) {
+      throw new BuddyClawError('No BuddyBoss/BuddyPress groups endpoint on this site', { code: 'ENDPOINT_MISSING' });
+    }
+    return `${this.baseUrl}/wp-json/${groupsPath}`;
+  }
+
   /**
    * Get nonce for traditional AJAX requests
    */
   async getNonce(groupId) {
     try {
       const endpoint = `${this.baseUrl}/groups/${groupId}`;
-      const response = await axios.get(endpoint);
+      const response = await this.http().get(endpoint);
       
       // Extract nonce from page content
       const nonceMatch = response.data.match(/_wpnonce["']?\s*:\s*["']([^"']+)["']/);
@@ -397,25 +388,18 @@ class GroupJoiner {
   }
 
   /**
-   * Get authentication headers
+   * Shared HTTP client for the site, signed with the credentials (config or apiToken/appPassword style)
+   * Without credentials a logged-in nonce is sent instead
    */
-  getAuthHeaders() {
-    const headers = {
-      'Content-Type': 'application/json',
-      'User-Agent': 'BuddyClaw/0.0.2'
-    };
-
-    // Add authentication based on credentials type
-    if (this.credentials.apiToken) {
-      headers['Authorization'] = `Bearer ${this.credentials.apiToken}`;
-    } else if (this.credentials.username && this.credentials.appPassword) {
-      const auth = Buffer.from(`${this.credentials.username}:${this.credentials.appPassword}`).toString('base64');
-      headers['Authorization'] = `Basic ${auth}`;
-    } else if (this.credentials.nonce) {
-      headers['X-WP-Nonce'] = this.credentials.nonce;
+  http() {
+    const authHeader = HttpClient.authHeader(this.credentials);
+    const client = HttpClient.forSite(this.baseUrl, { authHeader });
+    if (!authHeader && this.credentials.nonce) {
+      client.addHook('request', config => {
+        config.headers['X-WP-Nonce'] = this.credentials.nonce;
+      });
     }
-
-    return headers;
+    return client;
   }
 
   /**
@@ -425,10 +409,9 @@ class GroupJoiner {
     try {
       console.log(`👋 Leaving group: ${groupId}`);
       
-      const endpoint = `${this.baseUrl}/wp-json/buddypress/v1/groups/${groupId}/members`;
+      const endpoint = `${await this.getGroupsEndpoint()}/${groupId}/members`;
       
-      const response = await axios.delete(endpoint, {
-        headers: this.getAuthHeaders(),
+      const response = await this.http().delete(endpoint, {
         params: { user_id: 'me' }
       });
 
@@ -439,11 +422,7 @@ class GroupJoiner {
       };
 
     } catch (error) {
-      return {
-        success: false,
-        error: `Failed to leave group: ${error.message}`,
-        status: error.response?.status
-      };
+      return BuddyClawError.from(error, 'Failed to leave group').toResult();
     }
   }
 
@@ -454,9 +433,8 @@ class GroupJoiner {
     try {
       console.log(`👤 Getting groups for user: ${userId}`);
       
-      const endpoint = `${this.baseUrl}/wp-json/buddypress/v1/groups`;
-      const response = await axios.get(endpoint, {
-        headers: this.getAuthHeaders(),
+      const endpoint = await this.getGroupsEndpoint();
+      const response = await this.http().get(endpoint, {
         params: { user_id: userId }
       });
 
@@ -467,11 +445,7 @@ class GroupJoiner {
       };
 
     } catch (error) {
-      return {
-        success: false,
-        error: `Failed to get user groups: ${error.message}`,
-        status: error.response?.status
-      };
+      return BuddyClawError.from(error, 'Failed to get user groups').toResult();
     }
   }
 }
@@ -482,6 +456,9 @@ module.exports = GroupJoiner;
 // CLI functionality for testing
 if (require.main === module) {
   (async () => {
+    // CA bundles, pins, insecure_tls and proxies for the sites in config.yaml
+    const ConfigManager = require('./config-manager');
+    new ConfigManager().loadNetworkSettings();
     const joiner = new GroupJoiner();
     
     // Handle command line arguments
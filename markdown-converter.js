@@ -0,0 +1,476 @@
+const yaml = require('js-yaml');
+const BlockSerializer = require('./block-serializer');
+const PayloadSchema = require('./payload-schema');
+
+/**
+ * BuddyClaw Markdown Converter
+ * Parses Markdown (with optional YAML front matter) into HTML or Gutenberg blocks
+ * Spun Web Technology - Version 0.0.7
+ */
+
+// Tags that start a raw HTML block rather than a paragraph
+const HTML_BLOCK_TAGS = [
+  'address', 'article', 'aside', 'audio', 'blockquote', 'details', 'div', 'dl', 'figure', 'footer',
+  'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'iframe', 'nav', 'ol', 'p', 'pre',
+  'script', 'section', 'style', 'table', 'ul', 'video'
+];
+
+// Front matter keys that differ from the processInput field they set
+const FRONT_MATTER_FIELDS = {
+  featured_image: 'featured_image_url',
+  image: 'featured_image_url',
+  target: 'content_target',
+  tag: 'tags',
+  category: 'categories'
+};
+
+// processInput fields front matter may set; other keys (layout, description, ...) belong to
+// static site generators and the like, and are ignored
+const FRONT_MATTER_KEYS = [
+  'title', 'content_target', 'post_type', 'post_id', 'status', 'date', 'date_gmt', 'slug', 'excerpt',
+  'tags', 'categories', 'featured_image_url', 'featured_image_alt', 'parent', 'menu_order', 'format',
+  'sticky', 'template', 'comment_status', 'ping_status', 'seo', 'meta', 'fields', 'idempotency_key',
+  'output_format', 'forum_id', 'group_id', 'topic_id', 'privacy', 'subject'
+];
+
+class MarkdownConverter {
+  constructor() {
+    this.serializer = new BlockSerializer();
+    this.payloadSchema = new PayloadSchema();
+  }
+
+  /**
+   * Split YAML front matter from the Markdown body
+   * @returns {object} { attributes, body }
+   */
+  parseFrontMatter(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const lines = source.split(/\r?\n/);
+
+    if (lines[0].trim() !== '---') {
+      return { attributes: {}, body: source };
+    }
+
+    const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+    if (end === -1) {
+      return { attributes: {}, body: source };
+    }
+
+    let attributes;
+    try {
+      // Core schema keeps dates as strings so they can be read in the site's timezone later
+      attributes = yaml.load(lines.slice(1, end).join('\n'), { schema: yaml.CORE_SCHEMA }) || {};
+    } catch (error) {
+      throw new Error(`Invalid front matter: ${error.message}`);
+    }
+
+    if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+      throw new Error('Invalid front matter: expected key: value pairs');
+    }
+
+    return { attributes, body: lines.slice(end + 1).join('\n') };
+  }
+
+  /**
+   * Map front matter attributes onto processInput fields; only documented keys the target accepts
+   * are kept, every other key is left out with a warning
+   * @param {object} options - { contentTarget (the request's, wins), defaultTarget (when neither
+   *   the request nor the front matter names one), warnings (array the warnings are added to),
+   *   ignore (keys to leave out without a warning) }
+   */
+  frontMatterToFields(attributes, options = {}) {
+    const mapped = {};
+
+    for (const [key, value] of Object.entries(attributes)) {
+      if (value === null || value === undefined || options.ignore?.includes(key)) {
+        continue;
+      }
+
+      if ((key === 'featured_image' || key === 'image') && typeof value === 'object') {
+        // featured_image: { url, alt }
+        if (value.url) mapped.featured_image_url = { key, value: value.url };
+        if (value.alt) mapped.featured_image_alt = { key, value: value.alt };
+        continue;
+      }
+
+      mapped[FRONT_MATTER_FIELDS[key] || key] = { key, value };
+    }
+
+    const target = options.contentTarget || mapped.content_target?.value || options.defaultTarget || 'post';
+    let known;
+    try {
+      known = this.payloadSchema.knownFields(target);
+    } catch (error) {
+      // An unknown target is reported by validation; only the documented keys are checked here
+      known = FRONT_MATTER_KEYS;
+    }
+
+    const fields = {};
+    for (const [field, { key, value }] of Object.entries(mapped)) {
+      if (FRONT_MATTER_KEYS.includes(field) && known.includes(field)) {
+        fields[field] = value;
+      } else if (options.warnings) {
+        options.warnings.push(`Ignored front matter key "${key}" (not a ${target} field)`);
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Convert a Markdown document (front matter included) into processInput fields
+   * @param {string} text - Markdown source
+   * @param {object} options - { output: 'html' | 'blocks', plus the frontMatterToFields options }
+   * @returns {object} Fields from front matter plus converted content
+   */
+  convertDocument(text, options = {}) {
+    const { attributes, body } = this.parseFrontMatter(text);
+    return {
+      ...this.frontMatterToFields(attributes, options),
+      content: options.output === 'blocks' ? this.toBlocks(body) : this.toHtml(body)
+    };
+  }
+
+  toHtml(markdown) {
+    return this.serializer.renderHtml(this.parse(markdown));
+  }
+
+  toBlocks(markdown) {
+    return this.serializer.serialize(this.parse(markdown));
+  }
+
+  /**
+   * Parse Markdown into block tokens (see block-serializer.js for token types)
+   */
+  parse(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return this.parseBlocks(lines);
+  }
+
+  parseBlocks(lines) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      // Fenced code
+      const fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        tokens.push({ type: 'code', language: fence[2] || null, code: code.join('\n') });
+        continue;
+      }
+
+      // ATX heading
+      const heading = line.match(/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/);
+      if (heading) {
+        tokens.push({ type: 'heading', level: heading[1].length, html: this.renderInline(heading[2] || '') });
+        i++;
+        continue;
+      }
+
+      if (this.isSeparator(line)) {
+        tokens.push({ type: 'separator' });
+        i++;
+        continue;
+      }
+
+      // Blockquote (lazy continuation lines included)
+      if (/^ {0,3}>/.test(line)) {
+        const inner = [];
+        while (i < lines.length && lines[i].trim()) {
+          inner.push(lines[i].replace(/^ {0,3}> ?/, ''));
+          i++;
+        }
+        tokens.push({ type: 'quote', children: this.parseBlocks(inner) });
+        continue;
+      }
+
+      // Table: header row followed by a |---| divider
+      if (line.includes('|') && i + 1 < lines.length && this.isTableDivider(lines[i + 1])) {
+        const align = this.splitRow(lines[i + 1]).map(cell => {
+          if (/^:-+:$/.test(cell)) return 'center';
+          if (/^-+:$/.test(cell)) return 'right';
+          if (/^:-+$/.test(cell)) return 'left';
+          return null;
+        });
+        const head = this.splitRow(line).map(cell => this.renderInline(cell));
+        const rows = [];
+        i += 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+          rows.push(this.splitRow(lines[i]).map(cell => this.renderInline(cell)));
+          i++;
+        }
+        tokens.push({ type: 'table', head, align, rows });
+        continue;
+      }
+
+      const marker = this.matchListMarker(line);
+      if (marker) {
+        const list = this.parseList(lines, i, marker);
+        tokens.push(list.token);
+        i = list.next;
+        continue;
+      }
+
+      // Raw HTML block, kept as written up to the next blank line
+      if (this.isHtmlBlockStart(line)) {
+        const html = [];
+        while (i < lines.length && lines[i].trim()) {
+          html.push(lines[i]);
+          i++;
+        }
+        tokens.push({ type: 'html', html: html.join('\n') });
+        continue;
+      }
+
+      // Paragraph (or setext heading)
+      const paragraph = [line];
+      i++;
+      let setextLevel = 0;
+      while (i < lines.length && lines[i].trim()) {
+        if (/^ {0,3}=+\s*$/.test(lines[i])) {
+          setextLevel = 1;
+          i++;
+          break;
+        }
+        if (/^ {0,3}-+\s*$/.test(lines[i])) {
+          setextLevel = 2;
+          i++;
+          break;
+        }
+        if (this.startsBlock(lines[i])) {
+          break;
+        }
+        paragraph.push(lines[i]);
+        i++;
+      }
+
+      if (setextLevel) {
+        tokens.push({ type: 'heading', level: setextLevel, html: this.renderInline(paragraph.map(l => l.trim()).join(' ')) });
+        continue;
+      }
+
+      tokens.push(this.paragraphToken(paragraph));
+    }
+
+    return tokens;
+  }
+
+  paragraphToken(lines) {
+    const text = lines.map(line => line.trim()).join('\n');
+
+    // Media placeholders are replaced with blocks after upload, so they stay bare
+    if (/^\{\{media:\d+\}\}$/.test(text)) {
+      return { type: 'html', html: text, raw: true };
+    }
+
+    // A paragraph holding only an image becomes an image block
+    const image = text.match(/^!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+["']([^"']*)["'])?\s*\)$/);
+    if (image) {
+      return { type: 'image', alt: image[1], src: image[2], title: image[3] || null };
+    }
+
+    // Two trailing spaces or a backslash mark a hard line break
+    const html = lines
+      .map((line, index) => {
+        const isLast = index === lines.length - 1;
+        const hardBreak = !isLast && /( {2,}|\\)$/.test(line);
+        const content = this.renderInline(line.trim().replace(/\\$/, ''));
+        return hardBreak ? `${content}<br>` : content;
+      })
+      .join(' ')
+      .replace(/<br> /g, '<br>');
+
+    return { type: 'paragraph', html };
+  }
+
+  /**
+   * Parse a list starting at lines[start]; nested lists are parsed from each item's content
+   * @returns {object} { token, next }
+   */
+  parseList(lines, start, first) {
+    const items = [];
+    let current = null;
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const marker = this.matchListMarker(line);
+
+      if (marker && (!current || marker.indent < current.contentIndent)) {
+        if (marker.ordered !== first.ordered) {
+          break;
+        }
+        current = { lines: [marker.text], contentIndent: marker.contentIndent };
+        items.push(current);
+        i++;
+        continue;
+      }
+
+      if (!line.trim()) {
+        let j = i + 1;
+        while (j < lines.length && !lines[j].trim()) j++;
+        if (j >= lines.length) {
+          break;
+        }
+
+        const nextIndent = lines[j].match(/^ */)[0].length;
+        const nextMarker = this.matchListMarker(lines[j]);
+        const isSibling = nextMarker && nextMarker.ordered === first.ordered && nextMarker.indent < current.contentIndent;
+        if (nextIndent < current.contentIndent && !isSibling) {
+          break;
+        }
+
+        // A blank line before a sibling or more item text makes the list loose; before a nested list it doesn't
+        if (isSibling || !(nextMarker && nextIndent >= current.contentIndent)) {
+          loose = true;
+        }
+        current.lines.push('');
+        i = j;
+        continue;
+      }
+
+      const indent = line.match(/^ */)[0].length;
+      if (indent >= current.contentIndent) {
+        current.lines.push(line.slice(current.contentIndent));
+        i++;
+        continue;
+      }
+
+      // Lazy continuation of the item's paragraph
+      if (current.lines[current.lines.length - 1].trim() && !this.startsBlock(line)) {
+        current.lines.push(line.trim());
+        i++;
+        continue;
+      }
+
+      break;
+    }
+
+    return {
+      token: {
+        type: 'list',
+        ordered: first.ordered,
+        start: first.start,
+        loose,
+        items: items.map(item => this.parseBlocks(item.lines))
+      },
+      next: i
+    };
+  }
+
+  matchListMarker(line) {
+    const match = line.match(/^( *)([-*+]|(\d{1,9})[.)])( +|$)(.*)$/);
+    if (!match || this.isSeparator(line)) {
+      return null;
+    }
+    const indent = match[1].length;
+    return {
+      indent,
+      ordered: match[3] !== undefined,
+      start: match[3] !== undefined ? parseInt(match[3], 10) : null,
+      // Content lines are indented to the first character after the marker
+      contentIndent: indent + match[2].length + Math.min(match[4].length || 1, 4),
+      text: match[5]
+    };
+  }
+
+  /**
+   * Whether a line interrupts a paragraph
+   */
+  startsBlock(line) {
+    if (/^ {0,3}(#{1,6}(\s|$)|`{3,}|~{3,}|>)/.test(line) || this.isSeparator(line) || this.isHtmlBlockStart(line)) {
+      return true;
+    }
+    // Only bullets and lists starting at 1 can interrupt a paragraph
+    const marker = this.matchListMarker(line);
+    return !!marker && marker.indent <= 3 && (!marker.ordered || marker.start === 1) && marker.text.trim() !== '';
+  }
+
+  isSeparator(line) {
+    return /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(line);
+  }
+
+  isTableDivider(line) {
+    return line.includes('|') && /^ {0,3}\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line);
+  }
+
+  isHtmlBlockStart(line) {
+    if (/^ {0,3}<!--/.test(line)) {
+      return true;
+    }
+    const match = line.match(/^ {0,3}<\/?([a-zA-Z][\w-]*)[\s/>]/) || line.match(/^ {0,3}<\/?([a-zA-Z][\w-]*)$/);
+    return !!match && HTML_BLOCK_TAGS.includes(match[1].toLowerCase());
+  }
+
+  splitRow(row) {
+    return row
+      .trim()
+      .replace(/^\|/, '')
+      .replace(/(?<!\\)\|$/, '')
+      .split(/(?<!\\)\|/)
+      .map(cell => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  /**
+   * Render inline Markdown (code, links, images, emphasis) to HTML
+   */
+  renderInline(text) {
+    const stash = [];
+    const hold = html => `\u0000${stash.push(html) - 1}\u0000`;
+    const escape = value => this.serializer.escapeHtml(value);
+    const attr = value => this.serializer.escapeAttr(value);
+
+    let out = String(text);
+
+    // Code spans and escaped characters are never formatted
+    out = out.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => hold(`<code>${escape(code.trim())}</code>`));
+    out = out.replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (m, ch) => hold(escape(ch)));
+    out = out.replace(/<((?:https?|mailto):[^\s<>]+)>/g, (m, url) => hold(`<a href="${attr(url)}">${escape(url)}</a>`));
+
+    // Keep inline HTML tags and entities; escape everything else
+    out = out.replace(/<\/?[a-zA-Z][\w-]*(?:\s[^<>]*)?\/?>|<!--[\s\S]*?-->/g, tag => hold(tag));
+    out = out.replace(/&(?!#?\w+;)/g, '&amp;').replace(/</g, '&lt;');
+
+    out = out.replace(/!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+["']([^"']*)["'])?\s*\)/g, (m, alt, src, title) =>
+      hold(`<img src="${attr(src)}" alt="${attr(alt)}"${title ? ` title="${attr(title)}"` : ''}>`)
+    );
+    out = out.replace(/\[([^\]]+)\]\(\s*<?([^\s)>]+)>?(?:\s+["']([^"']*)["'])?\s*\)/g, (m, label, href, title) =>
+      hold(`<a href="${attr(href)}"${title ? ` title="${attr(title)}"` : ''}>${this.emphasize(label)}</a>`)
+    );
+
+    return this.restore(this.emphasize(out), stash);
+  }
+
+  emphasize(text) {
+    return text
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+      .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+  }
+
+  restore(text, stash) {
+    let out = text;
+    while (/\u0000\d+\u0000/.test(out)) {
+      out = out.replace(/\u0000(\d+)\u0000/g, (m, index) => stash[index]);
+    }
+    return out;
+  }
+}
+
+module.exports = MarkdownConverter;
@@ -220,33 +220,16 @@ class BuddyClawOnboarding {
 
   async performConnectionTest() {
     // Simple test to verify WordPress REST API access
-    const axios = require('axios');
+    const HttpClient = require('./http-client');
     
     try {
-      let authHeader = '';
-      let testUrl = `${this.config.site_base_url}/wp-json/wp/v2/users/me`;
-
-      switch (this.config.auth_method) {
-        case 'api_token':
-          authHeader = `Bearer ${this.config.wp_api_token}`;
-          break;
-        case 'app_password':
-        case 'basic_auth':
-          const credentials = Buffer.from(
-            `${this.config.wp_username}:${this.config.auth_method === 'app_password' ? this.config.wp_app_password : this.config.wp_password}`
-          ).toString('base64');
-          authHeader = `Basic ${credentials}`;
-          break;
-        case 'multi_agent':
-          // For multi-agent, we'll test the site URL only
-          testUrl = `${this.config.site_base_url}/wp-json/`;
-          break;
-      }
+      const authHeader = HttpClient.authHeader(this.config);
+      // For multi-agent, we'll test the site URL only
+      const testUrl = this.config.auth_method === 'multi_agent'
+        ? '/wp-json/'
+        : '/wp-json/wp/v2/users/me';
 
-      const response = await axios.get(testUrl, {
-        headers: authHeader ? { 'Authorization': authHeader } : {},
-        timeout: 10000
-      });
+      const response = await HttpClient.forSite(this.config.site_base_url, { authHeader }).get(testUrl, { timeout: 10000 });
 
       if (this.config.auth_method === 'multi_agent') {
         return {
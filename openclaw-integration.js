@@ -5,6 +5,10 @@ const ConfigManager = require('./config-manager');
 const ContentSourceManager = require('./content-source-manager');
 const GroupJoiner = require('./group-joiner');
 const AutonomousRecovery = require('./autonomous-recovery');
+const BuddyClawError = require('./buddyclaw-error');
+const SiteProbe = require('./site-probe');
+const ContentExporter = require('./content-exporter');
+const ContentSync = require('./content-sync');
 
 /**
  * BuddyClaw OpenClaw Chat Integration
@@ -17,10 +21,12 @@ class OpenClawIntegration {
     this.autonomous = new AutonomousBuddyClaw();
     this.configManager = new ConfigManager();
     this.contentManager = new ContentSourceManager();
-    this.groupJoiner = new GroupJoiner();
+    this.siteProbe = new SiteProbe();
+    this.groupJoiner = new GroupJoiner({ siteProbe: this.siteProbe });
     this.recovery = new AutonomousRecovery();
     this.commandHistory = [];
     this.maxHistory = 50;
+    this.messageRecipientsSent = 0; // Recipient cap spans the whole chat session
     this.sessions = new Map(); // Track user sessions for multi-step processes
     this._sessionsFile = path.join(process.cwd(), '.buddyclaw-sessions.json');
     this._loadSessionsFromDisk();
@@ -76,6 +82,24 @@ class OpenClawIntegration {
         case 'browser':
           result = await this.handleBrowser(command);
           break;
+        case 'probe':
+          result = await this.handleProbe(command);
+          break;
+        case 'read':
+          result = await this.handleRead(command);
+          break;
+        case 'message':
+          result = await this.handleMessage(command);
+          break;
+        case 'inbox':
+          result = await this.handleInbox(command);
+          break;
+        case 'export':
+          result = await this.handleExport(command);
+          break;
+        case 'sync':
+          result = await this.handleSync(command);
+          break;
         default:
           result = await this.handleUnknown(command);
       }
@@ -90,13 +114,17 @@ class OpenClawIntegration {
 
     } catch (error) {
       console.error('❌ OpenClaw Integration Error:', error.message);
+      const failure = BuddyClawError.from(error);
       
       // Attempt autonomous recovery
-      const recoveryResult = await this.recovery.attemptRecovery(error, context);
+      const recoveryResult = await this.recovery.attemptRecovery(failure, context);
       
       return {
         success: false,
-        error: error.message,
+        error: failure.message,
+        code: failure.code,
+        status: failure.status,
+        wp_code: failure.wpCode,
         recovery: recoveryResult,
         suggestion: 'Try "help" for available commands',
         timestamp: new Date().toISOString()
@@ -120,7 +148,13 @@ class OpenClawIntegration {
       help: /^(help|commands|\?)/i,
       config: /^(config|settings)/i,
       test: /^(test|verify|check)/i,
-      browser: /^(browser|automation)/i
+      browser: /^(browser|automation)/i,
+      probe: /^(probe|capabilities)/i,
+      read: /^(list|show|search)\b/i,
+      message: /^(message|dm)\b/i,
+      inbox: /^(inbox|messages)\b/i,
+      export: /^(export|backup)\b/i,
+      sync: /^sync\b/i
     };
 
     // Determine command type
@@ -192,6 +226,9 @@ class OpenClawIntegration {
     const targetMatch = chatInput.match(/--target\s+(\w+)/i);
     if (targetMatch) {
       params.content_target = targetMatch[1].toLowerCase();
+      if (params.content_target === 'reply') {
+        params.content_target = 'forum_reply';
+      }
     }
 
     // Extract group/forum IDs
@@ -210,6 +247,23 @@ class OpenClawIntegration {
       params.forum_id = forumMatch[1];
     }
 
+    // Parent comment for threaded comment replies
+    const parentMatch = chatInput.match(/--parent\s+(\d+)/i);
+    if (parentMatch) {
+      params.parent = parseInt(parentMatch[1], 10);
+    }
+
+    // Forum reply IDs
+    const topicIdMatch = chatInput.match(/--topic-id\s+(\d+)/i);
+    if (topicIdMatch) {
+      params.topic_id = parseInt(topicIdMatch[1], 10);
+    }
+
+    const replyToMatch = chatInput.match(/--reply-to\s+(\d+)/i);
+    if (replyToMatch) {
+      params.reply_to = parseInt(replyToMatch[1], 10);
+    }
+
     // Extract source for bulk operations
     const sourceMatch = chatInput.match(/bulk\s+(\w+)/i);
     if (sourceMatch) {
@@ -243,6 +297,36 @@ class OpenClawIntegration {
     // Check for no-image flag
     params.generate_image = !chatInput.includes('--no-image');
 
+    // Re-post even if the publish ledger already has this item
+    params.force = /--force\b/i.test(chatInput);
+
+    // Activity privacy (BuddyBoss) and untitled activity updates
+    const privacyMatch = chatInput.match(/--privacy\s+(\w+)/i);
+    if (privacyMatch) {
+      params.privacy = privacyMatch[1].toLowerCase();
+    }
+    if (/--no-title\b/i.test(chatInput)) {
+      params.include_title = false;
+    }
+
+    // Publish to several named site profiles
+    const sitesMatch = chatInput.match(/--sites\s+(\S+)/i);
+    if (sitesMatch) {
+      params.sites = sitesMatch[1].split(',').map(site => site.trim()).filter(Boolean);
+    }
+
+    // Ignore cached site probe results
+    params.refresh = /--refresh\b/i.test(chatInput);
+
+    // Scheduled publish time ("YYYY-MM-DD HH:MM" in the site's timezone, or ISO 8601 with offset)
+    const atMatch = chatInput.match(/--at\s+(?:["']([^"']+)["']|(\S+))/i);
+    if (atMatch) {
+      params.date = atMatch[1] || atMatch[2];
+      if (!statusMatch) {
+        params.status = 'future';
+      }
+    }
+
     return params;
   }
 
@@ -309,7 +393,7 @@ class OpenClawIntegration {
       return response;
 
     } catch (error) {
-      throw new Error(`Setup failed: ${error.message}`);
+      throw BuddyClawError.from(error, 'Setup failed');
     }
   }
 
@@ -899,8 +983,8 @@ class OpenClawIntegration {
             if (!cfg.site_url) cfg.site_url = cfg.site_url || cfg.siteUrl || cfg.wordpress?.siteUrl || '';
             const t = session.test || {};
             if (t.type === 'url') {
-              const axios = require('axios');
-              const res = await axios.get(t.url, { timeout: 10000 });
+              const HttpClient = require('./http-client');
+              const res = await new HttpClient({ timeout: 10000 }).get(t.url);
               const html = res.data || '';
               const titleMatch = html.match(/<title>([^<]+)<\/title>/i);
               const title = titleMatch ? titleMatch[1].trim() : 'Test Post';
@@ -921,7 +1005,7 @@ class OpenClawIntegration {
               if (result.success) {
                 return { message: `🎉 Test post created: ${result.data?.link || ''}\n\nCommands:\n- post \"Your topic\"\n- bulk rss <url> --count 5\n- status`, data: { onboarding_complete: true, next_step: 'complete' } };
               }
-              return { message: `❌ Test failed: ${result.error}\nPlease correct the data and start again with your site URL.`, data: { onboarding_complete: true, next_step: 'complete' } };
+              return { message: `❌ Test failed: ${result.error}\nPlease correct the data and start again with your site URL.`, data: this.failureData(result, { onboarding_complete: true, next_step: 'complete' }) };
             }
             if (t.type === 'questionnaire') {
               const data = Object.assign({ site_base_url: cfg.site_url, content_target: t.target || 'post', title: t.title || 'Test Post', content: t.content || '', status: t.status || 'draft' }, buildAuth(cfg));
@@ -929,7 +1013,7 @@ class OpenClawIntegration {
               if (result.success) {
                 return { message: `🎉 Test post created: ${result.data?.link || ''}\n\nCommands:\n- post \"Your topic\"\n- bulk rss <url> --count 5\n- status`, data: { onboarding_complete: true, next_step: 'complete' } };
               }
-              return { message: `❌ Test failed: ${result.error}\nPlease correct the data and start again with your site URL.`, data: { onboarding_complete: true, next_step: 'complete' } };
+              return { message: `❌ Test failed: ${result.error}\nPlease correct the data and start again with your site URL.`, data: this.failureData(result, { onboarding_complete: true, next_step: 'complete' }) };
             }
             if (t.type === 'rss') {
               const params = { source: 'rss', rss_url: t.rss_url, count: t.count || 1, status: 'draft', link_back: !!t.link_back };
@@ -1136,8 +1220,8 @@ class OpenClawIntegration {
         };
       }
 
-      // Check if group joining is needed
-      if (command.params.group_id || command.params.forum_id) {
+      // Check if group joining is needed (group IDs differ per site, so not when fanning out)
+      if ((command.params.group_id || command.params.forum_id) && !command.params.sites) {
         const joinResult = await this.handleGroupJoining(command.params);
         if (!joinResult.success) {
           return joinResult;
@@ -1153,7 +1237,14 @@ class OpenClawIntegration {
         generate_image: command.params.generate_image !== false,
         content_target: command.params.content_target || 'post',
         group_id: command.params.group_id,
-        forum_id: command.params.forum_id
+        forum_id: command.params.forum_id,
+        privacy: command.params.privacy,
+        include_title: command.params.include_title,
+        // Generated titles differ per run, so re-running the same command keys on the topic
+        idempotency_key: `chat:${topic}`,
+        force: command.params.force,
+        date: command.params.date,
+        sites: command.params.sites
       };
 
       // Parse post_id for comment targets
@@ -1169,6 +1260,10 @@ class OpenClawIntegration {
         };
       }
 
+      if (options.content_target === 'comment' && command.params.parent) {
+        options.parent = command.params.parent;
+      }
+
       if (options.content_target === 'forum' && !options.forum_id) {
         return {
           message: '❌ Forum target requires a forum id. Use: --forum-id <number>',
@@ -1176,12 +1271,68 @@ class OpenClawIntegration {
         };
       }
 
+      if (options.content_target === 'forum_reply') {
+        if (!command.params.topic_id) {
+          return {
+            message: '❌ Reply target requires a topic id. Use: --topic-id <number>',
+            data: { example: 'post "Thanks, that fixed it" --target reply --topic-id 123' }
+          };
+        }
+        options.topic_id = command.params.topic_id;
+        options.reply_to = command.params.reply_to;
+      }
+
+      // Replies, comments and messages are posted as written rather than expanded into an article
+      if (['forum_reply', 'comment', 'message'].includes(options.content_target)) {
+        options.content = topic;
+        options.generate_image = false;
+        // extractParameters defaults status to draft, so only pass a status that was asked for
+        options.status = command.raw.match(/--status\s+(\w+)/i)?.[1]?.toLowerCase();
+      }
+
       console.log('🚀 Starting autonomous posting...');
       const result = await this.autonomous.processChatInput(topic, options);
 
+      if (result.success && result.sites) {
+        const lines = result.sites.map(site => site.success
+          ? `✅ ${site.site}: ${site.duplicate ? 'already published as ' : ''}${site.data?.link || site.data?.id || 'published'}`
+          : `❌ ${site.site}: ${site.error}`);
+        return {
+          message: `${result.partial ? '⚠️ Published' : '🎉 Published'} "${result.title || topic}" to ${result.sites.filter(site => site.success).length}/${result.sites.length} sites\n${lines.join('\n')}`,
+          data: {
+            title: result.title,
+            partial: !!result.partial,
+            sites: result.sites
+          }
+        };
+      }
+
+      if (result.success && result.duplicate) {
+        return {
+          message: `ℹ️ Already published as ${result.post_id}; nothing new was created. Add --force to post it again.`,
+          data: {
+            post_id: result.post_id,
+            post_url: result.post_url,
+            duplicate: true
+          }
+        };
+      }
+
+      if (result.success && result.scheduled) {
+        return {
+          message: `🗓️ Scheduled "${result.title || topic}" for ${result.publish_at || command.params.date}`,
+          data: {
+            post_id: result.post_id,
+            schedule_id: result.schedule_id,
+            publish_at: result.publish_at,
+            title: result.title
+          }
+        };
+      }
+
       if (result.success) {
         return {
-          message: `🎉 Successfully created post: "${result.title}"`,
+          message: `🎉 Successfully created post: "${result.title || topic}"`,
           data: {
             post_id: result.post_id,
             post_url: result.post_url,
@@ -1193,12 +1344,12 @@ class OpenClawIntegration {
       } else {
         return {
           message: `❌ Failed to create post: ${result.error}`,
-          data: result.details || {}
+          data: this.failureData(result)
         };
       }
 
     } catch (error) {
-      throw new Error(`Post failed: ${error.message}`);
+      throw BuddyClawError.from(error, 'Post failed');
     }
   }
 
@@ -1228,7 +1379,7 @@ class OpenClawIntegration {
         return {
           success: false,
           message: `❌ Group joining failed: ${joinResult.error}`,
-          data: { group_id: groupId, error: joinResult.error }
+          data: this.failureData(joinResult, { group_id: groupId, error: joinResult.error })
         };
       }
 
@@ -1236,7 +1387,7 @@ class OpenClawIntegration {
       return {
         success: false,
         message: `❌ Group joining error: ${error.message}`,
-        data: { error: error.message }
+        data: this.failureData(BuddyClawError.from(error).toResult(), { error: error.message })
       };
     }
   }
@@ -1303,7 +1454,7 @@ class OpenClawIntegration {
       }
 
     } catch (error) {
-      throw new Error(`Bulk posting failed: ${error.message}`);
+      throw BuddyClawError.from(error, 'Bulk posting failed');
     }
   }
 
@@ -1359,12 +1510,12 @@ class OpenClawIntegration {
       } else {
         return {
           message: `❌ Failed to join group: ${result.error}`,
-          data: { group_id: groupId, error: result.error }
+          data: this.failureData(result, { group_id: groupId, error: result.error })
         };
       }
 
     } catch (error) {
-      throw new Error(`Group joining failed: ${error.message}`);
+      throw BuddyClawError.from(error, 'Group joining failed');
     }
   }
 
@@ -1444,11 +1595,17 @@ class OpenClawIntegration {
     const targetMatch = chatInput.match(/--target\s+(\w+)/i);
     if (targetMatch) {
       params.content_target = targetMatch[1].toLowerCase();
+      if (params.content_target === 'reply') {
+        params.content_target = 'forum_reply';
+      }
     }
 
     // Check for generate image flag
     params.generate_image = !chatInput.includes('--no-image');
 
+    // Re-post items already in the publish ledger
+    params.force = /--force\b/i.test(chatInput);
+
     return params;
   }
 
@@ -1478,7 +1635,7 @@ class OpenClawIntegration {
       };
 
     } catch (error) {
-      throw new Error(`Status check failed: ${error.message}`);
+      throw BuddyClawError.from(error, 'Status check failed');
     }
   }
 
@@ -1505,7 +1662,17 @@ class OpenClawIntegration {
           {
             command: 'post [comment]',
             description: 'Create a comment on a specific post',
-            example: 'post "Nice article!" --target comment --post-id 123 --status publish'
+            example: 'post "Nice article!" --target comment --post-id 123 --parent 45 --status publish'
+          },
+          {
+            command: 'post [activity]',
+            description: 'Post an activity update, optionally into a group stream (joins the group first)',
+            example: 'post "Weekly meetup notes" --target activity --group general-discussion --privacy loggedin --no-title'
+          },
+          {
+            command: 'post [forum reply]',
+            description: 'Reply to a forum topic, optionally to a specific reply with --reply-to',
+            example: 'post "Thanks, that fixed it" --target reply --topic-id 123 --reply-to 456'
           },
           {
             command: 'post [forum topic]',
@@ -1542,6 +1709,36 @@ class OpenClawIntegration {
             description: 'Test connection to WordPress',
             example: 'test'
           },
+          {
+            command: 'list|show|search [type]',
+            description: 'Read site content: posts, pages, comments, activity, topics, replies, media or messages (--status, --count, --page, --category, --group, --forum-id, --topic-id, --post-id)',
+            example: 'list posts --status draft --count 10 | show post 123 | search posts "onboarding"'
+          },
+          {
+            command: 'message @user "..."',
+            description: 'Send a private message (BuddyPress/BuddyBoss) to one or more members; --thread <id> replies in a thread. Capped at 10 recipients per chat session',
+            example: 'message @alice,@bob "Welcome to the community!" --subject "Welcome"'
+          },
+          {
+            command: 'inbox [thread id]',
+            description: 'List message threads (--box inbox|sentbox|starred) or read one thread',
+            example: 'inbox 42'
+          },
+          {
+            command: 'export [dir]',
+            description: 'Back up posts, pages, comments, activity and forum topics to a JSON + Markdown archive with media; later runs only fetch what changed (--full to start over, --no-media to skip downloads)',
+            example: 'export ./backup'
+          },
+          {
+            command: 'sync <dir>',
+            description: 'Two-way sync of a Markdown folder: publishes new files, updates changed ones, pulls posts edited on the site and flags files edited on both sides; --dry-run shows the plan only',
+            example: 'sync ./content --dry-run'
+          },
+          {
+            command: 'probe',
+            description: 'Show which REST APIs the site supports (BuddyBoss, BuddyPress, bbPress, JWT, application passwords, batch, SEO plugins); add --refresh to re-read a cached profile',
+            example: 'probe --refresh'
+          },
           {
             command: 'help',
             description: 'Show this help message',
@@ -1577,6 +1774,18 @@ class OpenClawIntegration {
             parameter: '--forum-id <number>',
             description: 'Required when --target forum; the forum ID or slug'
           },
+          {
+            parameter: '--sites <name,name>',
+            description: 'Publish to several named site profiles (config-manager.js --add-site), each with its own credentials; "default" is the main site'
+          },
+          {
+            parameter: '--force',
+            description: 'Publish again even if the same content was already posted'
+          },
+          {
+            parameter: '--at "YYYY-MM-DD HH:MM"',
+            description: 'Schedule for a future time in the site\'s timezone (sets --status future unless given)'
+          },
           {
             parameter: '--source [rss|file|text]',
             description: 'Content source for bulk posting',
@@ -1608,6 +1817,7 @@ class OpenClawIntegration {
           'bulk rss https://techcrunch.com/feed/ --count 3 --status publish',
           'bulk url https://example.com/article --status draft',
           'bulk file ./articles.json --status draft',
+          'bulk file ./content/launch-post.md',
           'bulk text "AI trends\nClimate change\nRemote work" --count 3 --status publish --tone professional'
         ],
         posting_examples: [
@@ -1615,7 +1825,9 @@ class OpenClawIntegration {
           'post climate change --group buddyboss --status draft',
           'post "New topic" --target forum --forum-id 123 --status publish',
           'post "Great insights!" --target comment --post-id 456 --status publish',
-          'post "Build a landing page" --target page --status draft'
+          'post "Build a landing page" --target page --status draft',
+          'post "Product launch" --at "2026-11-01 09:00"',
+          'post "Launch day!" --target activity --at "2026-11-01 09:00"'
         ]
       }
     };
@@ -1705,7 +1917,7 @@ class OpenClawIntegration {
       };
 
     } catch (error) {
-      throw new Error(`Config check failed: ${error.message}`);
+      throw BuddyClawError.from(error, 'Config check failed');
     }
   }
 
@@ -1732,10 +1944,314 @@ class OpenClawIntegration {
       }
 
     } catch (error) {
-      throw new Error(`Test failed: ${error.message}`);
+      throw BuddyClawError.from(error, 'Test failed');
+    }
+  }
+
+  /**
+   * Handle probe commands - show what the configured site supports
+   */
+  async handleProbe(command) {
+    console.log('🔎 Handling probe command');
+
+    try {
+      await this.configManager.initialize();
+      const credentials = this.configManager.getWordPressCredentials();
+      const authHeader = this.configManager.getAuthHeader(credentials);
+      const profile = await this.siteProbe.probe(credentials.url, authHeader, { refresh: command.params.refresh });
+      const summary = this.siteProbe.summarize(profile);
+
+      const enabled = Object.entries(summary.capabilities)
+        .filter(([, available]) => available)
+        .map(([capability]) => capability);
+
+      return {
+        message: `🔎 ${summary.site_url} supports: ${enabled.join(', ') || 'core WordPress only'} (probed ${summary.probed_at})`,
+        data: summary
+      };
+
+    } catch (error) {
+      throw new BuddyClawError(`Probe failed: ${error.response?.data?.message || error.message}`, BuddyClawError.from(error));
+    }
+  }
+
+  /**
+   * Handle read commands:
+   *   list posts --status draft --count 10 [--page 2] [--category 5] [--group 3]
+   *   show post 123
+   *   search posts "keyword"
+   */
+  async handleRead(command) {
+    console.log('🔍 Handling read command');
+
+    try {
+      const [verb, noun = 'posts', itemId] = command.raw.trim().split(/\s+/);
+      const targets = {
+        post: 'post', posts: 'post',
+        page: 'page', pages: 'page',
+        comment: 'comment', comments: 'comment',
+        activity: 'activity', activities: 'activity',
+        topic: 'forum', topics: 'forum', forum: 'forum',
+        reply: 'forum_reply', replies: 'forum_reply',
+        media: 'media',
+        message: 'message', messages: 'message'
+      };
+      const contentTarget = targets[noun.toLowerCase()];
+      if (!contentTarget) {
+        return {
+          message: `❌ Unknown content type "${noun}". Use posts, pages, comments, activity, topics, replies, media or messages`,
+          data: { examples: ['list posts --status draft --count 10', 'show post 123', 'search posts "onboarding"'] }
+        };
+      }
+
+      const operation = verb.toLowerCase() === 'show' ? 'get' : verb.toLowerCase();
+      const fields = {
+        operation,
+        content_target: contentTarget,
+        count: command.params.count || 10,
+        page: parseInt(command.raw.match(/--page\s+(\d+)/i)?.[1], 10) || 1
+      };
+
+      // extractParameters defaults status to draft, so only pass a status that was asked for
+      const status = command.raw.match(/--status\s+(\w+)/i)?.[1];
+      if (status) fields.status = status.toLowerCase();
+      const category = command.raw.match(/--category\s+(\d+)/i)?.[1];
+      if (category) fields.categories = category;
+      if (command.params.group_id) fields.group_id = command.params.group_id;
+      if (command.params.forum_id) fields.forum_id = command.params.forum_id;
+      if (command.params.topic_id) fields.topic_id = command.params.topic_id;
+      const postId = command.raw.match(/--post-id\s+(\d+)/i)?.[1];
+      if (postId) fields.post_id = parseInt(postId, 10);
+
+      if (operation === 'get') {
+        if (!/^\d+$/.test(itemId || '')) {
+          return { message: `❌ Usage: show ${noun} <id>`, data: { example: 'show post 123' } };
+        }
+        const idField = contentTarget === 'forum' ? 'topic_id' : {
+          comment: 'comment_id', activity: 'activity_id', forum_reply: 'reply_id', media: 'media_id', message: 'thread_id'
+        }[contentTarget] || 'post_id';
+        fields[idField] = parseInt(itemId, 10);
+      }
+      if (operation === 'search') {
+        fields.search = command.raw.match(/["']([^"']+)["']/)?.[1];
+        if (!fields.search) {
+          return { message: `❌ Usage: search ${noun} "terms"`, data: { example: 'search posts "onboarding"' } };
+        }
+      }
+
+      const result = await this.runPosterRequest(fields);
+      if (!result.success) {
+        return { message: `❌ ${verb} failed: ${result.error}`, data: this.failureData(result) };
+      }
+
+      if (operation === 'get') {
+        return {
+          message: `📄 ${result.data.title || result.data.subject || `${contentTarget} ${itemId}`} (${result.data.status || 'n/a'})`,
+          data: result.data
+        };
+      }
+      const total = result.pagination?.total ?? result.total;
+      return {
+        message: `📋 ${result.data.length} ${noun}${total != null ? ` of ${total}` : ''}`,
+        data: { items: result.data, pagination: result.pagination || null }
+      };
+
+    } catch (error) {
+      throw BuddyClawError.from(error, 'Read failed');
+    }
+  }
+
+  /**
+   * Handle message commands - message @alice,@bob "text" [--subject "..."] [--thread 12]
+   */
+  async handleMessage(command) {
+    console.log('✉️ Handling message command');
+
+    try {
+      const text = command.raw.match(/["']([^"']+)["']/)?.[1];
+      const subject = command.raw.match(/--subject\s+["']([^"']+)["']/i)?.[1];
+      const threadId = command.raw.match(/--thread\s+(\d+)/i)?.[1];
+      // Recipients are @mentions outside quoted text (so emails in the message aren't picked up)
+      const recipients = [...command.raw.replace(/["'][^"']*["']/g, ' ').matchAll(/@([\w.-]+)/g)].map(match => match[1]);
+
+      if (!text || (!threadId && recipients.length === 0)) {
+        return {
+          message: '❌ Usage: message @username "Your message" [--subject "Subject"] or message "Your reply" --thread <id>',
+          data: { example: 'message @alice,@bob "Welcome to the community!" --subject "Welcome"' }
+        };
+      }
+
+      const result = await this.runMessageRequest({
+        operation: 'create',
+        content: text,
+        recipients,
+        subject: subject || (text.length > 60 ? `${text.substring(0, 57)}...` : text),
+        thread_id: threadId ? parseInt(threadId, 10) : undefined,
+        force: command.params.force
+      });
+
+      if (!result.success) {
+        return { message: `❌ Message failed: ${result.error}`, data: this.failureData(result) };
+      }
+      if (result.duplicate) {
+        return { message: 'ℹ️ This message was already sent; add --force to send it again.', data: result.data };
+      }
+      const thread = Array.isArray(result.data) ? result.data[0] : result.data;
+      return {
+        message: threadId
+          ? `✉️ Replied in thread ${threadId}`
+          : `✉️ Sent to ${recipients.map(r => `@${r}`).join(', ')} (thread ${thread?.id})`,
+        data: { thread_id: thread?.id, recipients }
+      };
+
+    } catch (error) {
+      throw BuddyClawError.from(error, 'Message failed');
+    }
+  }
+
+  /**
+   * Handle inbox commands - inbox [--box sentbox] lists threads, inbox <thread id> reads one
+   */
+  async handleInbox(command) {
+    console.log('📥 Handling inbox command');
+
+    try {
+      const threadId = command.raw.match(/^\S+\s+(\d+)/)?.[1];
+      const box = command.raw.match(/--box\s+(\w+)/i)?.[1] || 'inbox';
+      const result = await this.runMessageRequest(threadId
+        ? { operation: 'get', thread_id: parseInt(threadId, 10) }
+        : { operation: 'list', box, per_page: command.params.count || 10 });
+
+      if (!result.success) {
+        return { message: `❌ Inbox failed: ${result.error}`, data: this.failureData(result) };
+      }
+      return {
+        message: threadId
+          ? `📨 ${result.data.subject} (${result.data.messages.length} messages)`
+          : `📥 ${result.data.length} threads in ${box}`,
+        data: result.data
+      };
+
+    } catch (error) {
+      throw BuddyClawError.from(error, 'Inbox failed');
     }
   }
 
+  /**
+   * Handle export commands - export [dir] [--full] [--no-media]
+   */
+  async handleExport(command) {
+    console.log('📦 Handling export command');
+
+    try {
+      await this.configManager.initialize();
+      const credentials = this.configManager.getWordPressCredentials();
+      const outputDir = command.raw.trim().split(/\s+/).slice(1).find(arg => !arg.startsWith('--'));
+
+      const exporter = new ContentExporter({
+        siteUrl: credentials.url,
+        authHeader: this.configManager.getAuthHeader(credentials),
+        outputDir
+      });
+      const result = await exporter.exportSite({
+        full: /--full\b/i.test(command.raw),
+        media: !/--no-media\b/i.test(command.raw)
+      });
+
+      const exported = Object.entries(result.targets)
+        .map(([target, summary]) => `${target}: ${summary.error ? 'skipped' : summary.exported}`)
+        .join(', ');
+
+      return {
+        message: `${result.success ? '📦' : '⚠️'} Exported to ${result.output_dir} (${exported}; ${result.media_downloaded} media files)`,
+        data: result
+      };
+
+    } catch (error) {
+      throw new BuddyClawError(`Export failed: ${error.response?.data?.message || error.message}`, BuddyClawError.from(error));
+    }
+  }
+
+  /**
+   * Handle sync commands - sync <dir> [--dry-run]
+   */
+  async handleSync(command) {
+    console.log('🔄 Handling sync command');
+
+    try {
+      const dir = command.raw.trim().split(/\s+/).slice(1).find(arg => !arg.startsWith('--'));
+      if (!dir) {
+        throw new Error('Folder required, e.g. "sync ./content"');
+      }
+
+      await this.configManager.initialize();
+      const credentials = this.configManager.getWordPressCredentials();
+      const contentSync = new ContentSync({
+        siteUrl: credentials.url,
+        authHeader: this.configManager.getAuthHeader(credentials),
+        posterAuth: this.configManager.getPosterAuth(credentials),
+        contentManager: this.contentManager
+      });
+      const result = await contentSync.sync(dir, { dryRun: /--dry-run\b/i.test(command.raw) });
+
+      const counts = {};
+      for (const step of result.plan || result.results) {
+        counts[step.action] = (counts[step.action] || 0) + 1;
+      }
+      const breakdown = Object.entries(counts).map(([action, count]) => `${count} ${action}`).join(', ') || 'no Markdown files';
+
+      return {
+        message: `${result.conflicts > 0 ? '⚠️' : '🔄'} ${result.dry_run ? 'Sync plan' : 'Synced'} ${dir}: ${breakdown}`,
+        data: result
+      };
+
+    } catch (error) {
+      throw BuddyClawError.from(error, 'Sync failed');
+    }
+  }
+
+  /**
+   * Send a message-target request through the enhanced poster with the configured credentials
+   * The poster starts from the recipients already messaged this session, so the cap isn't reset per command
+   */
+  async runMessageRequest(fields) {
+    const EnhancedBuddyClaw = require('./enhanced-poster');
+    const poster = new EnhancedBuddyClaw();
+    poster.messageRecipientsSent = this.messageRecipientsSent;
+    try {
+      return await this.runPosterRequest({ content_target: 'message', ...fields }, poster);
+    } finally {
+      this.messageRecipientsSent = poster.messageRecipientsSent;
+    }
+  }
+
+  /**
+   * Run a processInput request with the configured site and credentials
+   */
+  async runPosterRequest(fields, poster = null) {
+    await this.configManager.initialize();
+    const credentials = this.configManager.getWordPressCredentials();
+    const EnhancedBuddyClaw = require('./enhanced-poster');
+    return (poster || new EnhancedBuddyClaw()).processInput({
+      site_base_url: credentials.url,
+      ...this.configManager.getPosterAuth(credentials),
+      ...fields
+    });
+  }
+
+  /**
+   * Chat data for a failed result: its stable code, HTTP status and WordPress error code with the details
+   */
+  failureData(result, extra = {}) {
+    return {
+      ...extra,
+      code: result.code || 'UNKNOWN',
+      status: result.status || null,
+      wp_code: result.wp_code || null,
+      details: result.details || null
+    };
+  }
+
   /**
    * Handle unknown commands
    */
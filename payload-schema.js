@@ -0,0 +1,504 @@
+const BuddyClawError = require('./buddyclaw-error');
+
+/**
+ * BuddyClaw Payload Schema
+ * JSON Schema for processInput payloads, one per content_target and auth method, with a small validator
+ * Spun Web Technology - Version 0.0.7
+ */
+
+const CONTENT_TARGETS = ['post', 'page', 'custom_post_type', 'comment', 'activity', 'forum', 'forum_reply', 'message', 'media'];
+const AUTH_METHODS = ['api_token', 'app_password', 'basic_auth', 'multi_agent', 'anonymous'];
+const OPERATIONS = ['create', 'update', 'trash', 'delete', 'list', 'get', 'search'];
+const READ_OPERATIONS = ['list', 'get', 'search'];
+const ITEM_OPERATIONS = ['update', 'trash', 'delete', 'get'];
+const POST_STATUSES = ['publish', 'future', 'draft', 'pending', 'private'];
+const POST_FORMATS = ['standard', 'aside', 'chat', 'gallery', 'link', 'image', 'quote', 'status', 'video', 'audio'];
+
+// Reusable property shapes; numeric IDs may arrive as strings from chat commands and front matter
+const ID = { type: ['integer', 'string'], pattern: '^[0-9]+$', minimum: 1 };
+const ID_OR_SLUG = { type: ['integer', 'string'], minLength: 1 };
+const PAGE_NUMBER = { type: ['integer', 'string'], pattern: '^[0-9]+$', minimum: 1 };
+const TERMS = { type: ['array', 'string', 'integer'], items: { type: ['integer', 'string'] } };
+const EMAIL = { type: 'string', format: 'email' };
+
+const SITE_URL_PROPERTY = { type: 'string', pattern: '^https?://', description: 'Site root URL, e.g. https://example.com' };
+
+const COMMON_PROPERTIES = {
+  site_base_url: SITE_URL_PROPERTY,
+  content_target: { type: 'string', enum: CONTENT_TARGETS, default: 'post' },
+  operation: {
+    type: 'string',
+    enum: OPERATIONS,
+    default: 'create',
+    errorMessage: `Unsupported operation "\${/operation}" (use ${OPERATIONS.join(', ')})`
+  },
+  title: { type: 'string' },
+  content: { type: 'string' },
+  status: { type: 'string' },
+  date: { type: 'string', description: 'Publish time in the site timezone, or ISO 8601 with offset' },
+  date_gmt: { type: 'string' },
+  media: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: { file_path: { type: 'string' }, alt_text: { type: 'string' }, caption: { type: 'string' } },
+      required: ['file_path'],
+      additionalProperties: false
+    }
+  },
+  content_format: { type: 'string', enum: ['html', 'markdown'] },
+  output_format: { type: 'string', enum: ['html', 'blocks'] },
+  idempotency_key: { type: 'string' },
+  force: { type: 'boolean' },
+  dry_run: { type: 'boolean' },
+  // list / get / search
+  page: PAGE_NUMBER,
+  per_page: PAGE_NUMBER,
+  count: PAGE_NUMBER,
+  search: { type: 'string' },
+  filters: { type: 'object', description: 'Extra query parameters passed through to list requests' },
+  author: ID,
+  categories: TERMS,
+  tags: TERMS,
+  after: { type: 'string' },
+  before: { type: 'string' },
+  orderby: { type: 'string' },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  // Agent options documented for every method; the poster itself ignores them
+  autonomous_recovery: { type: 'boolean' },
+  solve_captcha: { type: 'boolean' },
+  auto_join_groups: { type: 'boolean' },
+  content_tone: { type: 'string', enum: ['professional', 'casual', 'technical', 'creative'] },
+  max_retries: { type: 'integer', minimum: 0 },
+  generate_meta: { type: 'boolean' }
+};
+
+const AUTH_PROPERTIES = {
+  wp_username: { type: 'string', minLength: 1 },
+  wp_app_password: { type: 'string', minLength: 1 },
+  wp_api_token: { type: 'string', minLength: 1 },
+  wp_password: { type: 'string', minLength: 1 },
+  wp_user_id: ID,
+  agent_email: EMAIL
+};
+
+const AUTH_REQUIRED = {
+  api_token: ['site_base_url', 'wp_api_token'],
+  app_password: ['site_base_url', 'wp_username', 'wp_app_password'],
+  basic_auth: ['site_base_url', 'wp_username', 'wp_password'],
+  // Registered agents already know their site
+  multi_agent: ['agent_email'],
+  anonymous: ['site_base_url', 'author_name', 'author_email']
+};
+
+const POST_PROPERTIES = {
+  post_id: ID,
+  excerpt: { type: 'string' },
+  slug: { type: 'string' },
+  author_id: ID,
+  password: { type: 'string' },
+  template: { type: 'string' },
+  comment_status: { type: 'string', enum: ['open', 'closed'] },
+  ping_status: { type: 'string', enum: ['open', 'closed'] },
+  meta: { type: 'object' },
+  create_missing_terms: { type: 'boolean' },
+  featured_image_url: { type: 'string', minLength: 1 },
+  featured_image_alt: { type: 'string' },
+  seo: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      meta_description: { type: 'string' },
+      focus_keyword: { type: 'string' },
+      focuskw: { type: 'string' },
+      keyword: { type: 'string' },
+      canonical: { type: 'string', pattern: '^https?://' },
+      canonical_url: { type: 'string', pattern: '^https?://' },
+      noindex: { type: 'boolean' },
+      nofollow: { type: 'boolean' },
+      robots: { type: ['string', 'array'], items: { type: 'string' } }
+    },
+    additionalProperties: false
+  }
+};
+
+const HIERARCHY_PROPERTIES = {
+  parent: { type: ['integer', 'string'], pattern: '^[0-9]+$', minimum: 0 },
+  menu_order: { type: ['integer', 'string'], pattern: '^-?[0-9]+$' }
+};
+
+const TARGET_PROPERTIES = {
+  post: {
+    ...POST_PROPERTIES,
+    sticky: { enum: [true, false, 'true', 'false'] },
+    format: { type: 'string', enum: POST_FORMATS }
+  },
+  page: { ...POST_PROPERTIES, ...HIERARCHY_PROPERTIES },
+  custom_post_type: {
+    ...POST_PROPERTIES,
+    ...HIERARCHY_PROPERTIES,
+    post_type: { type: 'string', minLength: 1, description: 'Post type slug or rest_base' },
+    fields: { type: 'object', description: 'Extra fields registered by the post type' }
+  },
+  comment: {
+    post_id: ID,
+    comment_id: ID,
+    parent: { type: ['integer', 'string'], pattern: '^[0-9]+$', minimum: 0 },
+    author_name: { type: 'string', minLength: 1 },
+    author_email: EMAIL,
+    author_url: { type: 'string' },
+    meta: { type: 'object' }
+  },
+  activity: {
+    activity_id: ID,
+    group_id: ID_OR_SLUG,
+    privacy: { type: 'string', enum: ['public', 'loggedin', 'onlyme', 'friends'] },
+    include_title: { type: 'boolean' },
+    activity_api_provider: { type: 'string', enum: ['buddyboss', 'buddypress', 'auto'] },
+    activity_context: {
+      type: 'object',
+      properties: {
+        scope: { type: 'string' },
+        group_id: ID_OR_SLUG,
+        privacy: { type: 'string', enum: ['public', 'loggedin', 'onlyme', 'friends'] },
+        bp_media_ids: { type: 'array', items: ID }
+      },
+      additionalProperties: false
+    }
+  },
+  forum: {
+    forum_id: ID_OR_SLUG,
+    forumId: { ...ID_OR_SLUG, deprecated: true, description: 'Use forum_id' },
+    forum: { ...ID_OR_SLUG, deprecated: true, description: 'Use forum_id' },
+    group_id: ID_OR_SLUG,
+    groupId: { ...ID_OR_SLUG, deprecated: true, description: 'Use group_id' },
+    topic_id: ID,
+    post_id: ID
+  },
+  forum_reply: {
+    topic_id: ID,
+    reply_to: ID,
+    forum_id: ID_OR_SLUG,
+    reply_id: ID
+  },
+  message: {
+    recipients: { type: ['array', 'string', 'integer'], items: ID_OR_SLUG },
+    subject: { type: 'string' },
+    thread_id: ID,
+    max_recipients: { type: 'integer', minimum: 1 },
+    box: { type: 'string', enum: ['inbox', 'sentbox', 'starred'] }
+  },
+  media: {
+    media_id: ID
+  }
+};
+
+// Shorthand for "when operation is one of ..."
+const whenOperation = (operations, then) => ({
+  if: { properties: { operation: { enum: operations } } },
+  then
+});
+
+const COMMON_RULES = [
+  whenOperation(['search'], { required: ['search'], errorMessage: 'Missing required search terms for search operation' }),
+  {
+    if: { properties: { status: { const: 'future' } }, required: ['status'] },
+    then: { anyOf: [{ required: ['date'] }, { required: ['date_gmt'] }], errorMessage: 'status "future" requires a date or date_gmt' }
+  }
+];
+
+const POST_RULES = [
+  whenOperation(['create'], { required: ['title', 'content'] }),
+  whenOperation(ITEM_OPERATIONS, { required: ['post_id'] }),
+  whenOperation(['create', 'update'], {
+    properties: { status: { enum: POST_STATUSES, errorMessage: `Invalid status "\${/status}" (allowed: ${POST_STATUSES.join(', ')})` } }
+  })
+];
+
+const TARGET_RULES = {
+  post: POST_RULES,
+  page: POST_RULES,
+  custom_post_type: [
+    { required: ['post_type'] },
+    whenOperation(['create'], { required: ['title', 'content'] }),
+    whenOperation(ITEM_OPERATIONS, { required: ['post_id'] })
+  ],
+  comment: [
+    whenOperation(['create'], { required: ['content', 'post_id'] }),
+    whenOperation(ITEM_OPERATIONS, { required: ['comment_id'] })
+  ],
+  activity: [
+    whenOperation(['trash'], { not: {}, errorMessage: 'Activity items cannot be trashed; use operation "delete" instead' }),
+    whenOperation(['create'], { required: ['content'] }),
+    whenOperation(ITEM_OPERATIONS, { required: ['activity_id'] })
+  ],
+  forum: [
+    whenOperation(['create'], {
+      required: ['title', 'content'],
+      anyOf: [{ required: ['forum_id'] }, { required: ['forumId'] }, { required: ['forum'] }]
+    }),
+    whenOperation(ITEM_OPERATIONS, {
+      anyOf: [{ required: ['topic_id'] }, { required: ['post_id'] }],
+      errorMessage: 'Missing required topic_id to ${/operation} forum'
+    })
+  ],
+  forum_reply: [
+    whenOperation(['create'], { required: ['content', 'topic_id'] }),
+    whenOperation(ITEM_OPERATIONS, { required: ['reply_id'] })
+  ],
+  message: [
+    whenOperation(['update', 'trash'], { not: {}, errorMessage: 'Message threads can only be deleted, not updated or trashed' }),
+    whenOperation(['create'], { required: ['content'] }),
+    whenOperation(['create'], {
+      anyOf: [{ required: ['recipients'] }, { required: ['thread_id'] }],
+      errorMessage: 'Missing required recipients (or thread_id to reply) for message target'
+    }),
+    {
+      if: { properties: { operation: { const: 'create' } }, not: { required: ['thread_id'] } },
+      then: { anyOf: [{ required: ['subject'] }, { required: ['title'] }], errorMessage: 'Missing required subject for a new message thread' }
+    },
+    whenOperation(['delete', 'get'], { required: ['thread_id'] })
+  ],
+  media: [
+    whenOperation(['create'], { not: {}, errorMessage: 'Media is uploaded through featured_image_url or media on a post; create is not supported for media' }),
+    whenOperation(ITEM_OPERATIONS, { required: ['media_id'] })
+  ]
+};
+
+const AUTH_RULES = {
+  anonymous: [{
+    properties: { content_target: { const: 'comment' }, operation: { const: 'create' } },
+    errorMessage: 'Requests without credentials can only create comments'
+  }]
+};
+
+class PayloadSchema {
+  /**
+   * JSON Schema (draft-07) for one content_target and auth method
+   */
+  getSchema(contentTarget = 'post', authMethod = 'app_password') {
+    if (!CONTENT_TARGETS.includes(contentTarget)) {
+      throw new Error(`Unknown content_target "${contentTarget}" (use ${CONTENT_TARGETS.join(', ')})`);
+    }
+    if (!AUTH_METHODS.includes(authMethod)) {
+      throw new Error(`Unknown auth method "${authMethod}" (use ${AUTH_METHODS.join(', ')})`);
+    }
+
+    return {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      $id: `https://github.com/spunweb/buddyclaw/schemas/${contentTarget}.${authMethod}.json`,
+      title: `BuddyClaw ${contentTarget} request (${authMethod})`,
+      type: 'object',
+      properties: {
+        ...COMMON_PROPERTIES,
+        ...AUTH_PROPERTIES,
+        ...TARGET_PROPERTIES[contentTarget]
+      },
+      required: AUTH_REQUIRED[authMethod],
+      additionalProperties: false,
+      allOf: [...COMMON_RULES, ...TARGET_RULES[contentTarget], ...(AUTH_RULES[authMethod] || [])]
+    };
+  }
+
+  /**
+   * Every field a content_target's requests may carry, credentials aside
+   */
+  knownFields(contentTarget = 'post') {
+    if (!CONTENT_TARGETS.includes(contentTarget)) {
+      throw new Error(`Unknown content_target "${contentTarget}" (use ${CONTENT_TARGETS.join(', ')})`);
+    }
+    return Object.keys({ ...COMMON_PROPERTIES, ...TARGET_PROPERTIES[contentTarget] });
+  }
+
+  /**
+   * Validate a processInput payload; null and undefined values count as not set
+   * @returns {object} { valid, errors: [{ path, message }] }
+   */
+  validate(data, authMethod) {
+    const payload = { content_target: 'post', operation: 'create' };
+    for (const [key, value] of Object.entries(data || {})) {
+      if (value !== undefined && value !== null) {
+        payload[key] = value;
+      }
+    }
+
+    // An unknown target has no schema to check the rest against
+    if (!CONTENT_TARGETS.includes(payload.content_target)) {
+      const message = READ_OPERATIONS.includes(payload.operation)
+        ? `Operation ${payload.operation} is not supported for ${payload.content_target}; use ${CONTENT_TARGETS.join(', ')}`
+        : `Unsupported content_target "${payload.content_target}" (use ${CONTENT_TARGETS.join(', ')})`;
+      return { valid: false, errors: [{ path: '/content_target', message }] };
+    }
+
+    const schema = this.getSchema(payload.content_target, authMethod);
+    const errors = this.check(payload, schema, '', payload);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Throw a VALIDATION_FAILED error listing every problem with its field path; error.details.errors has them separately
+   */
+  assertValid(data, authMethod) {
+    const { valid, errors } = this.validate(data, authMethod);
+    if (!valid) {
+      throw new BuddyClawError(`Invalid ${data.content_target || 'post'} request: ${errors.map(this.formatError).join('; ')}`, {
+        code: 'VALIDATION_FAILED',
+        details: { errors }
+      });
+    }
+  }
+
+  formatError(error) {
+    return `${error.path || '/'} ${error.message}`;
+  }
+
+  /**
+   * Check a value against a schema node; supports the keywords the schemas above use
+   */
+  check(value, schema, path, root) {
+    let errors = [];
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this.isType(value, type))) {
+        return this.withMessage(schema, [{ path, message: `must be ${types.join(' or ')}` }], root);
+      }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+      errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})` });
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: 'must not be empty' });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: `must match ${schema.pattern} (got ${JSON.stringify(value)})` });
+      }
+      if (schema.format === 'email' && !/^[^\s@]+@[^\s@]+$/.test(value)) {
+        errors.push({ path, message: `must be an email address (got ${JSON.stringify(value)})` });
+      }
+    }
+    const number = typeof value === 'string' && schema.pattern ? Number(value) : value;
+    if (typeof number === 'number' && schema.minimum !== undefined && number < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...this.check(item, schema.items, `${path}/${index}`, root));
+      });
+    }
+
+    if (this.isType(value, 'object')) {
+      for (const field of schema.required || []) {
+        if (value[field] === undefined || value[field] === null || value[field] === '') {
+          errors.push({ path: `${path}/${field}`, message: 'is required' });
+        }
+      }
+      const properties = schema.properties || {};
+      for (const [field, fieldValue] of Object.entries(value)) {
+        if (properties[field]) {
+          errors.push(...this.check(fieldValue, properties[field], `${path}/${field}`, root));
+        } else if (schema.additionalProperties === false) {
+          const suggestion = this.suggestField(field, Object.keys(properties));
+          errors.push({
+            path: `${path}/${field}`,
+            message: `is not a known field${suggestion ? ` (did you mean ${suggestion}?)` : ''}`
+          });
+        }
+      }
+    }
+
+    for (const rule of schema.allOf || []) {
+      errors.push(...this.check(value, rule, path, root));
+    }
+    if (schema.anyOf && !schema.anyOf.some(option => this.check(value, option, path, root).length === 0)) {
+      errors.push(...this.check(value, schema.anyOf[0], path, root));
+    }
+    if (schema.not && this.check(value, schema.not, path, root).length === 0) {
+      errors.push({ path, message: 'is not allowed' });
+    }
+    if (schema.if && this.check(value, schema.if, path, root).length === 0) {
+      errors.push(...(schema.then ? this.check(value, schema.then, path, root) : []));
+    } else if (schema.if && schema.else) {
+      errors.push(...this.check(value, schema.else, path, root));
+    }
+
+    return this.withMessage(schema, errors, root);
+  }
+
+  /**
+   * Replace a node's errors with its errorMessage (ajv-errors style, ${/pointer} filled from the payload)
+   */
+  withMessage(schema, errors, root) {
+    if (!schema.errorMessage || errors.length === 0) {
+      return errors;
+    }
+    const message = schema.errorMessage.replace(/\$\{(\/[^}]*)\}/g, (match, pointer) => {
+      const value = pointer.split('/').slice(1).reduce((node, key) => (node == null ? node : node[key]), root);
+      return value === undefined ? '' : String(value);
+    });
+    return [{ path: errors[0].path, message }];
+  }
+
+  isType(value, type) {
+    switch (type) {
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'null':
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Closest known field for a misspelt one: same letters ignoring case/underscores, or 2 edits away
+   */
+  suggestField(field, known) {
+    const squash = name => name.toLowerCase().replace(/[_-]/g, '');
+    const exact = known.find(name => squash(name) === squash(field));
+    if (exact) {
+      return exact;
+    }
+
+    let best = null;
+    let bestDistance = 3;
+    for (const name of known) {
+      const distance = this.editDistance(squash(field), squash(name));
+      if (distance < bestDistance) {
+        best = name;
+        bestDistance = distance;
+      }
+    }
+    return field.length > 3 ? best : null;
+  }
+
+  editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  }
+}
+
+module.exports = PayloadSchema;
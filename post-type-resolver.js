@@ -0,0 +1,120 @@
+const HttpClient = require('./http-client');
+const BuddyClawError = require('./buddyclaw-error');
+
+/**
+ * BuddyClaw Post Type Resolver
+ * Discovers custom post types from /wp-json/wp/v2/types and validates payloads against their schema
+ * Spun Web Technology - Version 0.0.7
+ */
+
+class PostTypeResolver {
+  constructor() {
+    this.typeCache = new Map();   // site -> types response
+    this.schemaCache = new Map(); // collection endpoint -> create args
+  }
+
+  /**
+   * Find a REST-enabled post type by slug or rest_base
+   * @returns {object} { slug, name, rest_base, namespace, endpoint }
+   */
+  async getPostType(siteUrl, postType, authHeader) {
+    if (!postType) {
+      throw new BuddyClawError('Missing required post_type for custom_post_type target', { code: 'VALIDATION_FAILED' });
+    }
+
+    const types = await this.getTypes(siteUrl, authHeader);
+    const match = Object.entries(types).find(([slug, type]) =>
+      slug === postType || type.slug === postType || type.rest_base === postType
+    );
+
+    if (!match) {
+      const available = Object.keys(types).join(', ') || 'none';
+      throw new BuddyClawError(`Post type "${postType}" is not exposed in the REST API (available: ${available})`, { code: 'ENDPOINT_MISSING' });
+    }
+
+    const [slug, type] = match;
+    const restBase = type.rest_base || slug;
+    const namespace = type.rest_namespace || 'wp/v2';
+
+    return {
+      slug,
+      name: type.name || slug,
+      rest_base: restBase,
+      namespace,
+      endpoint: `${siteUrl}/wp-json/${namespace}/${restBase}`
+    };
+  }
+
+  async getTypes(siteUrl, authHeader) {
+    const cacheKey = String(siteUrl).replace(/\/+$/, '');
+    if (this.typeCache.has(cacheKey)) {
+      return this.typeCache.get(cacheKey);
+    }
+
+    const response = await HttpClient.forSite(siteUrl, { authHeader }).get('/wp-json/wp/v2/types', {
+      params: { context: 'edit' }
+    });
+
+    this.typeCache.set(cacheKey, response.data || {});
+    return response.data || {};
+  }
+
+  /**
+   * Read the create (POST) arguments for a collection endpoint via OPTIONS
+   */
+  async getCreateArgs(endpoint, authHeader) {
+    if (this.schemaCache.has(endpoint)) {
+      return this.schemaCache.get(endpoint);
+    }
+
+    const response = await HttpClient.forSite(new URL(endpoint).origin, { authHeader }).options(endpoint);
+
+    const createRoute = (response.data?.endpoints || []).find(route => (route.methods || []).includes('POST'));
+    const args = createRoute?.args || response.data?.schema?.properties || {};
+
+    this.schemaCache.set(endpoint, args);
+    return args;
+  }
+
+  /**
+   * Check payload field names and enum values against the post type's schema
+   * @param {object} payload - Fields about to be sent
+   * @param {object} args - Create arguments from getCreateArgs
+   * @param {string} postType - Post type slug for error messages
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validatePayload(payload, args, postType) {
+    const errors = [];
+
+    for (const [field, value] of Object.entries(payload)) {
+      if (value === undefined) {
+        continue;
+      }
+
+      const arg = args[field];
+      if (!arg) {
+        errors.push(`Field "${field}" is not supported by post type "${postType}"`);
+        continue;
+      }
+
+      if (Array.isArray(arg.enum) && !arg.enum.includes(value)) {
+        errors.push(`Invalid value "${value}" for "${field}" (allowed: ${arg.enum.join(', ')})`);
+      }
+    }
+
+    for (const [field, arg] of Object.entries(args)) {
+      if (arg && arg.required && payload[field] === undefined) {
+        errors.push(`Field "${field}" is required by post type "${postType}"`);
+      }
+    }
+
+    return errors;
+  }
+
+  clearCache() {
+    this.typeCache.clear();
+    this.schemaCache.clear();
+  }
+}
+
+module.exports = PostTypeResolver;
@@ -1,10 +1,11 @@
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
 const FormData = require('form-data');
 const { promisify } = require('util');
 const stream = require('stream');
 const os = require('os');
+const HttpClient = require('./http-client');
+const ConfigManager = require('./config-manager');
 
 /**
  * BuddyClaw - Spun Web Technology
@@ -27,11 +28,7 @@ function exitWithSuccess(data) {
 
 async function downloadImage(url, tempDir) {
     try {
-        const response = await axios({
-            url,
-            method: 'GET',
-            responseType: 'stream'
-        });
+        const response = await new HttpClient().get(url, { responseType: 'stream' });
         
         const filename = path.basename(new URL(url).pathname) || 'image.jpg';
         const filePath = path.join(tempDir, filename);
@@ -48,11 +45,9 @@ async function uploadMedia(filePath, baseUrl, auth) {
     form.append('file', fs.createReadStream(filePath));
     
     try {
-        const response = await axios.post(`${baseUrl}/wp-json/wp/v2/media`, form, {
-            headers: {
-                ...form.getHeaders(),
-                'Authorization': auth
-            }
+        const response = await HttpClient.forSite(baseUrl, { authHeader: auth }).post(`${baseUrl}/wp-json/wp/v2/media`, form, {
+            headers: form.getHeaders(),
+            timeout: 120000 // Uploads can be large
         });
         return response.data.id;
     } catch (error) {
@@ -111,6 +106,10 @@ async function main() {
     const auth = `Basic ${Buffer.from(`${wp_username}:${wp_app_password}`).toString('base64')}`;
     const baseUrl = site_base_url.replace(/\/$/, ''); // Remove trailing slash
 
+    // Same proxy and TLS settings as the other posters (HTTPS_PROXY/NO_PROXY apply without a config)
+    new ConfigManager().loadNetworkSettings();
+    const client = HttpClient.forSite(baseUrl, { authHeader: auth });
+
     if (dry_run) {
         exitWithSuccess({ message: 'Dry run successful', params });
     }
@@ -148,9 +147,7 @@ async function main() {
                 }
             }
 
-            const response = await axios.post(endpoint, payload, {
-                headers: { 'Authorization': auth, 'Content-Type': 'application/json' }
-            });
+            const response = await client.post(endpoint, payload);
             
             exitWithSuccess(response.data);
 
@@ -175,9 +172,7 @@ async function main() {
                 meta: meta || undefined
             };
 
-            const response = await axios.post(endpoint, payload, {
-                headers: { 'Authorization': auth, 'Content-Type': 'application/json' }
-            });
+            const response = await client.post(endpoint, payload);
 
             exitWithSuccess(response.data);
         }
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * BuddyClaw Publish Ledger
+ * Records published content fingerprints so re-runs don't create duplicates
+ * Spun Web Technology - Version 0.0.7
+ */
+
+class PublishLedger {
+  constructor(ledgerPath = path.join(process.cwd(), '.buddyclaw-ledger.json')) {
+    this.ledgerPath = ledgerPath;
+  }
+
+  /**
+   * Normalize title/body so cosmetic differences don't change the fingerprint
+   */
+  normalizeText(text) {
+    return String(text || '')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/gi, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  fingerprint(title, content) {
+    return crypto
+      .createHash('sha256')
+      .update(`${this.normalizeText(title)}\n${this.normalizeText(content)}`)
+      .digest('hex');
+  }
+
+  /**
+   * Build the ledger key for a publish request
+   * A caller-supplied idempotency_key wins over the content hash
+   */
+  buildKey(data) {
+    const site = String(data.site_base_url || '').replace(/\/+$/, '').toLowerCase();
+    const target = data.content_target || 'post';
+    // The same comment on two posts (or topic in two forums, reply in two topics, update in two groups,
+    // message to two people, item in two post types) is not a duplicate
+    const parents = {
+      comment: data.post_id,
+      forum: data.forum_id || data.forumId,
+      forum_reply: data.reply_to ? `${data.topic_id}/${data.reply_to}` : data.topic_id,
+      message: data.thread_id
+        ? `thread/${data.thread_id}`
+        : [].concat(data.recipients || []).join(',').split(',').map(r => r.trim().replace(/^@/, '')).sort().join(','),
+      activity: data.group_id || (data.activity_context?.scope === 'group' ? data.activity_context.group_id : null),
+      custom_post_type: data.post_type
+    };
+    const parent = parents[target] || null;
+    const scope = parent ? `${target}:${parent}` : target;
+    const identity = data.idempotency_key
+      ? `key:${data.idempotency_key}`
+      : `hash:${this.fingerprint(data.title, data.content)}`;
+    return `${site}|${scope}|${identity}`;
+  }
+
+  lookup(data) {
+    const ledger = this.load();
+    return ledger.entries[this.buildKey(data)] || null;
+  }
+
+  record(data, published) {
+    const ledger = this.load();
+    const key = this.buildKey(data);
+    ledger.entries[key] = {
+      site_base_url: data.site_base_url,
+      content_target: data.content_target || 'post',
+      idempotency_key: data.idempotency_key || null,
+      fingerprint: this.fingerprint(data.title, data.content),
+      id: published.id,
+      link: published.link || null,
+      recorded_at: new Date().toISOString()
+    };
+    this.save(ledger);
+    return ledger.entries[key];
+  }
+
+  /**
+   * Drop entries for an item that was trashed or deleted so it can be published again
+   */
+  forget(siteUrl, contentTarget, id) {
+    const ledger = this.load();
+    const site = String(siteUrl || '').replace(/\/+$/, '').toLowerCase();
+    let removed = 0;
+
+    for (const [key, entry] of Object.entries(ledger.entries)) {
+      const entrySite = String(entry.site_base_url || '').replace(/\/+$/, '').toLowerCase();
+      if (entrySite === site && entry.content_target === contentTarget && String(entry.id) === String(id)) {
+        delete ledger.entries[key];
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.save(ledger);
+    }
+    return removed;
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.ledgerPath)) {
+        const json = JSON.parse(fs.readFileSync(this.ledgerPath, 'utf8') || '{}');
+        return { entries: json.entries || {} };
+      }
+    } catch (error) {
+      console.warn(`Failed to load publish ledger: ${error.message}`);
+    }
+    return { entries: {} };
+  }
+
+  save(ledger) {
+    try {
+      fs.writeFileSync(this.ledgerPath, JSON.stringify(ledger, null, 2));
+    } catch (error) {
+      console.warn(`Failed to save publish ledger: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PublishLedger;
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const SiteProbe = require('./site-probe');
+const BuddyClawError = require('./buddyclaw-error');
+
+/**
+ * BuddyClaw Publish Scheduler
+ * Resolves publish dates in the site's timezone and queues content WordPress can't schedule natively
+ * Spun Web Technology - Version 0.0.7
+ */
+
+class PublishScheduler {
+  constructor(options = {}) {
+    this.storePath = options.storePath || path.join(process.cwd(), '.buddyclaw-schedule.json');
+    this.maxAttempts = options.maxAttempts || 3;
+    this.siteProbe = options.siteProbe || new SiteProbe();
+  }
+
+  /**
+   * Read the site's timezone settings from its probe profile
+   * @returns {object} { timezone_string, gmt_offset }
+   */
+  async getSiteTimezone(siteUrl, authHeader) {
+    const profile = await this.siteProbe.probe(siteUrl, authHeader);
+    return {
+      timezone_string: profile.timezone_string,
+      gmt_offset: profile.gmt_offset
+    };
+  }
+
+  /**
+   * Turn date/date_gmt input into an absolute UTC time
+   * Dates with an explicit offset (or Z) are absolute; bare dates are read in the site's timezone
+   * @returns {object} { utc: Date, date_gmt: string, isFuture: boolean }
+   */
+  async resolvePublishDate(data, authHeader) {
+    let utc;
+
+    if (data.date_gmt) {
+      utc = this.parseAsUtc(data.date_gmt);
+    } else if (this.hasExplicitOffset(data.date)) {
+      utc = new Date(data.date);
+    } else {
+      const parts = this.parseLocalDate(data.date);
+      const timezone = await this.getSiteTimezone(data.site_base_url, authHeader);
+      utc = this.localToUtc(parts, timezone);
+    }
+
+    if (!utc || isNaN(utc.getTime())) {
+      throw new BuddyClawError(`Invalid publish date: ${data.date_gmt || data.date}`, { code: 'VALIDATION_FAILED' });
+    }
+
+    return {
+      utc,
+      date_gmt: utc.toISOString().slice(0, 19),
+      isFuture: utc.getTime() > Date.now()
+    };
+  }
+
+  hasExplicitOffset(value) {
+    return /(Z|[+-]\d{2}:?\d{2})$/i.test(String(value || '').trim());
+  }
+
+  parseAsUtc(value) {
+    const text = String(value).trim().replace(' ', 'T');
+    return new Date(this.hasExplicitOffset(text) ? text : `${text}Z`);
+  }
+
+  parseLocalDate(value) {
+    const match = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (!match) {
+      throw new BuddyClawError(`Invalid publish date: ${value} (use YYYY-MM-DD HH:MM or an ISO 8601 date)`, { code: 'VALIDATION_FAILED' });
+    }
+    const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+    return {
+      year: +year,
+      month: +month,
+      day: +day,
+      hour: +hour,
+      minute: +minute,
+      second: +second
+    };
+  }
+
+  /**
+   * Convert wall-clock parts in the site's timezone to a UTC Date
+   */
+  localToUtc(parts, timezone) {
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    if (!timezone.timezone_string || /^UTC[+-]/.test(timezone.timezone_string)) {
+      return new Date(asUtc - timezone.gmt_offset * 3600000);
+    }
+
+    // Two passes so wall-clock times next to a DST change land on the right offset
+    const firstOffset = this.getZoneOffsetMinutes(asUtc, timezone.timezone_string);
+    let utc = asUtc - firstOffset * 60000;
+    const secondOffset = this.getZoneOffsetMinutes(utc, timezone.timezone_string);
+    if (secondOffset !== firstOffset) {
+      utc = asUtc - secondOffset * 60000;
+    }
+    return new Date(utc);
+  }
+
+  getZoneOffsetMinutes(timestamp, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    const p = Object.fromEntries(formatter.formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+    const wallClock = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+    return Math.round((wallClock - timestamp) / 60000);
+  }
+
+  /**
+   * Queue a processInput payload to be published at a UTC time
+   * @param {object} data - processInput payload (credentials included)
+   * @param {Date} publishAt - When to publish
+   * @param {string} key - Publish ledger key, used to avoid queueing the same item twice
+   */
+  enqueue(data, publishAt, key = null) {
+    const store = this.load();
+    const job = {
+      id: crypto.randomBytes(6).toString('hex'),
+      key,
+      publish_at: publishAt.toISOString(),
+      content_target: data.content_target || 'post',
+      title: data.title || null,
+      status: 'pending',
+      attempts: 0,
+      created_at: new Date().toISOString(),
+      // The runner publishes immediately, so drop the date and any "future" status
+      payload: {
+        ...data,
+        date: undefined,
+        date_gmt: undefined,
+        status: data.status === 'future' ? 'publish' : data.status
+      }
+    };
+    store.jobs.push(job);
+    this.save(store);
+    console.log(`Queued ${job.content_target} ${job.id} for ${job.publish_at}`);
+    return job;
+  }
+
+  /**
+   * Publish every pending job that is due
+   * @param {object} poster - EnhancedBuddyClaw instance used to publish
+   * @param {Date} now - Reference time (defaults to now)
+   */
+  async runDue(poster, now = new Date()) {
+    const store = this.load();
+    const due = store.jobs.filter(job => job.status === 'pending' && new Date(job.publish_at) <= now);
+    const results = [];
+
+    for (const job of due) {
+      console.log(`Publishing scheduled ${job.content_target} ${job.id}...`);
+      job.attempts++;
+
+      const result = await poster.processInput(job.payload);
+      if (result.success) {
+        job.status = 'published';
+        job.published_at = new Date().toISOString();
+        job.result = { id: result.data?.id ?? (Array.isArray(result.data) ? result.data[0]?.id : null) };
+      } else {
+        job.last_error = result.error;
+        if (job.attempts >= this.maxAttempts) {
+          job.status = 'failed';
+        }
+      }
+
+      results.push({ id: job.id, status: job.status, error: result.success ? null : result.error });
+      // Save after every job so a crash doesn't publish the same item twice
+      this.save(store);
+    }
+
+    return {
+      success: results.every(r => r.status !== 'failed'),
+      processed: results.length,
+      results
+    };
+  }
+
+  findPending(key) {
+    if (!key) {
+      return null;
+    }
+    return this.load().jobs.find(job => job.key === key && job.status === 'pending') || null;
+  }
+
+  list(status = null) {
+    const jobs = this.load().jobs;
+    return (status ? jobs.filter(job => job.status === status) : jobs).map(job => ({
+      id: job.id,
+      content_target: job.content_target,
+      title: job.title,
+      publish_at: job.publish_at,
+      status: job.status,
+      attempts: job.attempts,
+      last_error: job.last_error || null
+    }));
+  }
+
+  cancel(jobId) {
+    const store = this.load();
+    const job = store.jobs.find(j => j.id === jobId && j.status === 'pending');
+    if (!job) {
+      return { success: false, error: `No pending scheduled job ${jobId}` };
+    }
+    job.status = 'cancelled';
+    this.save(store);
+    return { success: true, id: jobId };
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const json = JSON.parse(fs.readFileSync(this.storePath, 'utf8') || '{}');
+        return { jobs: json.jobs || [] };
+      }
+    } catch (error) {
+      console.warn(`Failed to load schedule store: ${error.message}`);
+    }
+    return { jobs: [] };
+  }
+
+  save(store) {
+    // Jobs carry the credentials they will publish with, so keep the file private
+    fs.writeFileSync(this.storePath, JSON.stringify(store, null, 2), { mode: 0o600 });
+  }
+}
+
+// Export for use in other modules
+module.exports = PublishScheduler;
+
+// CLI functionality
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const scheduler = new PublishScheduler();
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log('BuddyClaw Publish Scheduler');
+    console.log('Usage:');
+    console.log('  node publish-scheduler.js --list              List scheduled jobs');
+    console.log('  node publish-scheduler.js --run               Publish jobs that are due (cron friendly)');
+    console.log('  node publish-scheduler.js --watch=60          Check for due jobs every N seconds');
+    console.log('  node publish-scheduler.js --cancel=JOB_ID     Cancel a pending job');
+    process.exit(0);
+  }
+
+  (async () => {
+    if (args.includes('--list')) {
+      console.log(JSON.stringify({ success: true, jobs: scheduler.list() }, null, 2));
+      return;
+    }
+
+    const cancelId = args.find(arg => arg.startsWith('--cancel='))?.split('=')[1];
+    if (cancelId) {
+      const result = scheduler.cancel(cancelId);
+      console.log(JSON.stringify(result));
+      process.exit(result.success ? 0 : 1);
+    }
+
+    // Queued jobs use the same CA bundles, pins, insecure_tls and proxies as when they were queued
+    const ConfigManager = require('./config-manager');
+    new ConfigManager().loadNetworkSettings();
+    const EnhancedBuddyClaw = require('./enhanced-poster');
+    const poster = new EnhancedBuddyClaw();
+
+    const watchSeconds = parseInt(args.find(arg => arg.startsWith('--watch='))?.split('=')[1]) || 0;
+    if (watchSeconds > 0) {
+      console.log(`Watching for due jobs every ${watchSeconds}s (Ctrl+C to stop)`);
+      for (;;) {
+        await scheduler.runDue(poster);
+        await new Promise(resolve => setTimeout(resolve, watchSeconds * 1000));
+      }
+    }
+
+    const result = await scheduler.runDue(poster);
+    console.log(JSON.stringify(result));
+    process.exit(result.success ? 0 : 1);
+  })().catch(error => {
+    console.error(JSON.stringify({ success: false, error: error.message }));
+    process.exit(1);
+  });
+}
@@ -0,0 +1,172 @@
+const HttpClient = require('./http-client');
+const SiteProbe = require('./site-probe');
+const BuddyClawError = require('./buddyclaw-error');
+
+/**
+ * BuddyClaw SEO Manager
+ * Detects Yoast SEO or Rank Math from REST namespaces and writes their post meta
+ * Spun Web Technology - Version 0.0.7
+ */
+
+// REST namespace each supported plugin registers
+const SEO_NAMESPACES = {
+  yoast: 'yoast/v1',
+  rank_math: 'rankmath/v1'
+};
+
+class SeoManager {
+  constructor(options = {}) {
+    this.siteProbe = options.siteProbe || new SiteProbe();
+  }
+
+  /**
+   * Detect the active SEO plugin from the site's probed REST namespaces
+   * @returns {string|null} 'yoast', 'rank_math' or null
+   */
+  async detectPlugin(siteUrl, authHeader) {
+    const profile = await this.siteProbe.probe(siteUrl, authHeader);
+    return this.detectFromNamespaces(profile.namespaces);
+  }
+
+  detectFromNamespaces(namespaces) {
+    for (const [plugin, namespace] of Object.entries(SEO_NAMESPACES)) {
+      if (namespaces.includes(namespace)) {
+        return plugin;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Normalise an seo block: { title, description, focus_keyword, canonical, noindex, nofollow }
+   * Accepts meta_description, canonical_url and robots: 'noindex, nofollow' as aliases
+   */
+  normalize(seo) {
+    if (!seo || typeof seo !== 'object' || Array.isArray(seo)) {
+      throw new BuddyClawError('seo must be an object', { code: 'VALIDATION_FAILED' });
+    }
+
+    const robots = Array.isArray(seo.robots)
+      ? seo.robots.map(value => String(value).trim().toLowerCase())
+      : String(seo.robots || '').split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+
+    const normalized = {
+      title: seo.title,
+      description: seo.description ?? seo.meta_description,
+      focus_keyword: seo.focus_keyword ?? seo.focuskw ?? seo.keyword,
+      canonical: seo.canonical ?? seo.canonical_url,
+      noindex: seo.noindex ?? (robots.includes('noindex') ? true : robots.includes('index') ? false : undefined),
+      nofollow: seo.nofollow ?? (robots.includes('nofollow') ? true : robots.includes('follow') ? false : undefined)
+    };
+
+    if (normalized.canonical && !/^https?:\/\//i.test(normalized.canonical)) {
+      throw new BuddyClawError(`Invalid seo.canonical "${normalized.canonical}" (must be an http(s) URL)`, { code: 'VALIDATION_FAILED' });
+    }
+    for (const flag of ['noindex', 'nofollow']) {
+      if (normalized[flag] !== undefined && typeof normalized[flag] !== 'boolean') {
+        throw new BuddyClawError(`seo.${flag} must be true or false`, { code: 'VALIDATION_FAILED' });
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Map a normalised seo block onto the plugin's meta keys
+   */
+  buildMeta(plugin, seo) {
+    const meta = {};
+
+    if (plugin === 'yoast') {
+      if (seo.title) meta._yoast_wpseo_title = seo.title;
+      if (seo.description) meta._yoast_wpseo_metadesc = seo.description;
+      if (seo.focus_keyword) meta._yoast_wpseo_focuskw = seo.focus_keyword;
+      if (seo.canonical) meta._yoast_wpseo_canonical = seo.canonical;
+      // Yoast: noindex '1' = noindex, '2' = index; nofollow '1' = nofollow, '0' = follow
+      if (seo.noindex !== undefined) meta['_yoast_wpseo_meta-robots-noindex'] = seo.noindex ? '1' : '2';
+      if (seo.nofollow !== undefined) meta['_yoast_wpseo_meta-robots-nofollow'] = seo.nofollow ? '1' : '0';
+    } else if (plugin === 'rank_math') {
+      if (seo.title) meta.rank_math_title = seo.title;
+      if (seo.description) meta.rank_math_description = seo.description;
+      if (seo.focus_keyword) meta.rank_math_focus_keyword = seo.focus_keyword;
+      if (seo.canonical) meta.rank_math_canonical_url = seo.canonical;
+      if (seo.noindex !== undefined || seo.nofollow !== undefined) {
+        meta.rank_math_robots = [seo.noindex ? 'noindex' : 'index'];
+        if (seo.nofollow) meta.rank_math_robots.push('nofollow');
+      }
+    }
+
+    return meta;
+  }
+
+  /**
+   * Work out what to write before the post is saved
+   * Yoast meta rides along in the post payload; Rank Math is written afterwards via its own route
+   * @returns {object} { plugin, meta, error }
+   */
+  async prepare(siteUrl, seo, authHeader) {
+    const normalized = this.normalize(seo);
+
+    let plugin;
+    try {
+      plugin = await this.detectPlugin(siteUrl, authHeader);
+    } catch (error) {
+      return { plugin: null, meta: {}, error: `SEO plugin detection failed: ${error.message}` };
+    }
+
+    if (!plugin) {
+      return { plugin: null, meta: {}, error: 'No supported SEO plugin (Yoast SEO or Rank Math) detected' };
+    }
+
+    return { plugin, meta: this.buildMeta(plugin, normalized), error: null };
+  }
+
+  /**
+   * Finish writing SEO meta once the post exists and report what was applied
+   * SEO failures are reported, never thrown; the post itself is already saved
+   */
+  async finish(plan, siteUrl, postId, responseData, authHeader) {
+    const fields = Object.keys(plan.meta);
+
+    if (plan.error) {
+      return { success: false, plugin: plan.plugin, error: plan.error };
+    }
+    if (fields.length === 0) {
+      return { success: true, plugin: plan.plugin, fields };
+    }
+
+    if (plan.plugin === 'yoast') {
+      // Yoast meta is only writable where the keys are registered with show_in_rest
+      const saved = responseData?.meta || {};
+      const missing = fields.filter(key => !(key in saved));
+      if (missing.length > 0) {
+        return {
+          success: false,
+          plugin: 'yoast',
+          fields,
+          error: `Yoast meta not exposed to the REST API on this site (${missing.join(', ')}); register it with register_post_meta(..., ['show_in_rest' => true])`
+        };
+      }
+      return { success: true, plugin: 'yoast', fields };
+    }
+
+    try {
+      await HttpClient.forSite(siteUrl, { authHeader }).post('/wp-json/rankmath/v1/updateMeta', {
+        objectType: 'post',
+        objectID: postId,
+        meta: plan.meta
+      });
+      return { success: true, plugin: 'rank_math', fields };
+    } catch (error) {
+      console.warn(`Failed to write Rank Math meta: ${error.message}`);
+      return {
+        success: false,
+        plugin: 'rank_math',
+        fields,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+}
+
+module.exports = SeoManager;
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const HttpClient = require('./http-client');
+
+/**
+ * BuddyClaw Site Probe
+ * Reads a site's /wp-json index once and caches what it supports, so modules pick endpoints up front
+ * Spun Web Technology - Version 0.0.7
+ */
+
+// Namespace each capability registers in the REST index
+const CAPABILITY_NAMESPACES = {
+  buddyboss: 'buddyboss/v1',
+  buddypress: 'buddypress/v1',
+  jwt_auth: 'jwt-auth/v1',
+  batch: 'batch/v1',
+  yoast: 'yoast/v1',
+  rank_math: 'rankmath/v1'
+};
+
+class SiteProbe {
+  constructor(options = {}) {
+    this.cachePath = options.cachePath || path.join(process.cwd(), '.buddyclaw-probe.json');
+    this.ttlSeconds = options.ttlSeconds || 24 * 60 * 60;
+    this.profiles = new Map();
+  }
+
+  /**
+   * Get the capability profile for a site, from cache while it is fresh
+   * @param {object} options - { refresh: true } to ignore the cache
+   * @returns {object} Site profile (see buildProfile)
+   */
+  async probe(siteUrl, authHeader, options = {}) {
+    const siteKey = this.normalizeUrl(siteUrl);
+
+    if (!options.refresh) {
+      const cached = this.getCached(siteKey);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    console.log(`🔎 Probing ${siteKey}/wp-json/ ...`);
+    const response = await HttpClient.forSite(siteKey, { authHeader }).get('/wp-json/', { timeout: 15000 });
+
+    const profile = this.buildProfile(siteKey, response.data);
+    this.remember(profile);
+    return profile;
+  }
+
+  /**
+   * Turn a /wp-json index response into a site profile
+   */
+  buildProfile(siteUrl, index = {}) {
+    const namespaces = Array.isArray(index.namespaces) ? index.namespaces : [];
+    const routes = Object.keys(index.routes || {});
+    const has = namespace => namespaces.includes(namespace);
+
+    const capabilities = {};
+    for (const [capability, namespace] of Object.entries(CAPABILITY_NAMESPACES)) {
+      capabilities[capability] = has(namespace);
+    }
+    // bbPress has no REST API of its own; topics show up through BuddyBoss or as REST-enabled post types
+    capabilities.bbpress = has('bbp-api/v1') ||
+      routes.some(route => /^\/(buddyboss\/v1|wp\/v2)\/(forums|topics?|reply|replies)$/.test(route));
+    capabilities.application_passwords = !!index.authentication?.['application-passwords'];
+
+    return {
+      site_url: this.normalizeUrl(siteUrl),
+      probed_at: new Date().toISOString(),
+      name: index.name || null,
+      timezone_string: index.timezone_string || '',
+      gmt_offset: parseFloat(index.gmt_offset) || 0,
+      namespaces,
+      routes,
+      capabilities
+    };
+  }
+
+  /**
+   * Return the first candidate path (e.g. 'buddyboss/v1/topics') the site has a route for
+   * Handles parameterised routes such as /buddyboss/v1/forums/(?P<id>[\d]+)
+   */
+  pickRoute(profile, candidates) {
+    for (const candidate of candidates) {
+      const wanted = `/${candidate.replace(/^\/+/, '')}`;
+      const found = profile.routes.some(route => {
+        if (route === wanted) {
+          return true;
+        }
+        if (!route.includes('(?P<')) {
+          return false;
+        }
+        try {
+          return new RegExp(`^${route.replace(/\(\?P</g, '(?<')}$`).test(wanted);
+        } catch (error) {
+          return false;
+        }
+      });
+      if (found) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pick the endpoint path for a content target that lives outside wp/v2
+   * @returns {string|null} Path relative to /wp-json, or null when the site has none
+   */
+  getEndpoint(profile, target, params = {}) {
+    switch (target) {
+      case 'activity':
+        return this.pickRoute(profile, ['buddyboss/v1/activity', 'buddypress/v1/activity']);
+      case 'forum_topics':
+        return this.pickRoute(profile, [
+          ...(params.forum_id ? [`buddyboss/v1/forums/${encodeURIComponent(String(params.forum_id))}/topics`] : []),
+          'buddyboss/v1/topics',
+          'wp/v2/topics',
+          'wp/v2/topic'
+        ]);
+      case 'forum_replies':
+        return this.pickRoute(profile, ['buddyboss/v1/reply', 'wp/v2/reply', 'wp/v2/replies']);
+      case 'groups':
+        return this.pickRoute(profile, ['buddyboss/v1/groups', 'buddypress/v1/groups']);
+      case 'members':
+        return this.pickRoute(profile, ['buddyboss/v1/members', 'buddypress/v1/members']);
+      case 'messages':
+        return this.pickRoute(profile, ['buddyboss/v1/messages', 'buddypress/v1/messages']);
+      default:
+        throw new Error(`Unknown probe endpoint "${target}"`);
+    }
+  }
+
+  /**
+   * One-line-per-capability view of a profile for chat output
+   */
+  summarize(profile) {
+    return {
+      site_url: profile.site_url,
+      name: profile.name,
+      probed_at: profile.probed_at,
+      timezone: profile.timezone_string || `UTC${profile.gmt_offset >= 0 ? '+' : ''}${profile.gmt_offset}`,
+      capabilities: profile.capabilities,
+      endpoints: {
+        activity: this.getEndpoint(profile, 'activity'),
+        forum_topics: this.getEndpoint(profile, 'forum_topics'),
+        forum_replies: this.getEndpoint(profile, 'forum_replies'),
+        groups: this.getEndpoint(profile, 'groups'),
+        messages: this.getEndpoint(profile, 'messages')
+      },
+      namespaces: profile.namespaces,
+      route_count: profile.routes.length
+    };
+  }
+
+  getCached(siteKey) {
+    let profile = this.profiles.get(siteKey);
+    if (!profile) {
+      profile = this.load()[siteKey];
+      if (profile) {
+        this.profiles.set(siteKey, profile);
+      }
+    }
+
+    if (profile && Date.now() - new Date(profile.probed_at).getTime() < this.ttlSeconds * 1000) {
+      return profile;
+    }
+    return null;
+  }
+
+  remember(profile) {
+    this.profiles.set(profile.site_url, profile);
+    const store = this.load();
+    store[profile.site_url] = profile;
+    this.save(store);
+  }
+
+  invalidate(siteUrl) {
+    const siteKey = this.normalizeUrl(siteUrl);
+    this.profiles.delete(siteKey);
+    const store = this.load();
+    if (store[siteKey]) {
+      delete store[siteKey];
+      this.save(store);
+    }
+  }
+
+  normalizeUrl(siteUrl) {
+    return String(siteUrl || '').trim().replace(/\/+$/, '');
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.cachePath)) {
+        return JSON.parse(fs.readFileSync(this.cachePath, 'utf8') || '{}').sites || {};
+      }
+    } catch (error) {
+      console.warn(`Failed to load site probe cache: ${error.message}`);
+    }
+    return {};
+  }
+
+  save(sites) {
+    try {
+      fs.writeFileSync(this.cachePath, JSON.stringify({ sites }, null, 2));
+    } catch (error) {
+      console.warn(`Failed to save site probe cache: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SiteProbe;
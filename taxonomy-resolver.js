@@ -0,0 +1,164 @@
+const HttpClient = require('./http-client');
+
+/**
+ * BuddyClaw Taxonomy Resolver
+ * Maps tag and category names/slugs to WordPress term IDs, creating missing terms
+ * Spun Web Technology - Version 0.0.7
+ */
+
+class TaxonomyResolver {
+  constructor() {
+    // site|taxonomy|lowercased name or slug -> term ID
+    this.termCache = new Map();
+  }
+
+  /**
+   * Resolve a list of term names, slugs or IDs for one taxonomy
+   * @param {string} siteUrl - WordPress site URL
+   * @param {string} taxonomy - REST base of the taxonomy ('tags' or 'categories')
+   * @param {Array|string} terms - Term IDs, names or slugs (comma-separated string allowed)
+   * @param {string} authHeader - Authorization header value
+   * @param {object} options - { create: boolean } create terms that don't exist yet
+   * @returns {object} { ids, created, unresolved }
+   */
+  async resolveTerms(siteUrl, taxonomy, terms, authHeader, options = {}) {
+    const create = options.create !== false;
+    const list = (Array.isArray(terms) ? terms : String(terms).split(','))
+      .map(term => (typeof term === 'string' ? term.trim() : term))
+      .filter(term => term !== '' && term !== null && term !== undefined);
+
+    const ids = [];
+    const created = [];
+    const unresolved = [];
+
+    for (const term of list) {
+      // Numeric values are already term IDs
+      if (typeof term === 'number' || /^\d+$/.test(String(term))) {
+        ids.push(parseInt(term, 10));
+        continue;
+      }
+
+      const cacheKey = this.getCacheKey(siteUrl, taxonomy, term);
+      if (this.termCache.has(cacheKey)) {
+        ids.push(this.termCache.get(cacheKey));
+        continue;
+      }
+
+      try {
+        let termId = await this.findTerm(siteUrl, taxonomy, term, authHeader);
+
+        if (!termId && create) {
+          termId = await this.createTerm(siteUrl, taxonomy, term, authHeader);
+          if (termId) {
+            created.push(term);
+          }
+        }
+
+        if (termId) {
+          this.termCache.set(cacheKey, termId);
+          ids.push(termId);
+        } else {
+          unresolved.push(term);
+        }
+      } catch (error) {
+        console.warn(`Failed to resolve ${taxonomy} term "${term}": ${error.message}`);
+        unresolved.push(term);
+      }
+    }
+
+    return {
+      ids: [...new Set(ids)],
+      created,
+      unresolved
+    };
+  }
+
+  /**
+   * Look up an existing term by name or slug
+   */
+  async findTerm(siteUrl, taxonomy, term, authHeader) {
+    const response = await HttpClient.forSite(siteUrl, { authHeader }).get(`/wp-json/wp/v2/${taxonomy}`, {
+      params: { search: term, per_page: 100, _fields: 'id,name,slug' }
+    });
+
+    const wanted = term.toLowerCase();
+    const slug = this.slugify(term);
+    const match = (response.data || []).find(existing =>
+      this.decodeEntities(existing.name).toLowerCase() === wanted || existing.slug === slug || existing.slug === wanted
+    );
+
+    if (match) {
+      // Cache every spelling we can match later
+      this.termCache.set(this.getCacheKey(siteUrl, taxonomy, match.slug), match.id);
+      this.termCache.set(this.getCacheKey(siteUrl, taxonomy, this.decodeEntities(match.name)), match.id);
+      return match.id;
+    }
+    return null;
+  }
+
+  /**
+   * Create a missing term; returns null when the account can't manage terms
+   */
+  async createTerm(siteUrl, taxonomy, term, authHeader) {
+    try {
+      const response = await HttpClient.forSite(siteUrl, { authHeader }).post(`/wp-json/wp/v2/${taxonomy}`, { name: term });
+      console.log(`Created ${taxonomy} term "${term}" (${response.data.id})`);
+      return response.data.id;
+    } catch (error) {
+      const status = error.response?.status;
+      const data = error.response?.data;
+
+      // Another request created it first (or search missed it)
+      if (data?.code === 'term_exists' && data?.data?.term_id) {
+        return data.data.term_id;
+      }
+
+      if (status === 401 || status === 403) {
+        console.warn(`Not allowed to create ${taxonomy} term "${term}"; skipping`);
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  getCacheKey(siteUrl, taxonomy, term) {
+    return `${String(siteUrl).replace(/\/+$/, '')}|${taxonomy}|${String(term).toLowerCase()}`;
+  }
+
+  slugify(term) {
+    return String(term)
+      .toLowerCase()
+      .trim()
+      .replace(/[^a-z0-9\s-]/g, '')
+      .replace(/\s+/g, '-')
+      .replace(/-+/g, '-');
+  }
+
+  decodeEntities(text) {
+    return String(text || '')
+      .replace(/&amp;/g, '&')
+      .replace(/&#0?39;|&#8217;/g, "'")
+      .replace(/&quot;/g, '"')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>');
+  }
+
+  /**
+   * Clear cached term IDs, optionally for a single site
+   */
+  clearCache(siteUrl = null) {
+    if (!siteUrl) {
+      this.termCache.clear();
+      return;
+    }
+    const prefix = `${String(siteUrl).replace(/\/+$/, '')}|`;
+    for (const key of this.termCache.keys()) {
+      if (key.startsWith(prefix)) {
+        this.termCache.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = TaxonomyResolver;